@@ -0,0 +1,234 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+// Everything the worker posts to the main thread
+const posted = [];
+jest.unstable_mockModule('worker_threads', () => ({
+  parentPort: { postMessage: msg => posted.push(msg), on: () => {} },
+}));
+const { handleMessage, updatePhysics, playerPositions, currentTick } = await import('../workers/PhysicsWorker.js');
+
+// A straight open track away from the origin, with no terrain
+const curvePoints = [];
+for (let z = 0; z <= 1000; z += 50) curvePoints.push([360, 0, z]);
+handleMessage({ type: 'init', curvePoints, inputDelayTicks: 0 });
+
+// Ship tuning server.js gives every player before any client config
+const SERVER_DEFAULTS = { acceleration: 1, pitchVelocity: 1, rollVelocity: 1, damping: 0.998, playerSpeed: 1 };
+
+let nextId = 0;
+let ships = [];
+let playerId;
+
+function addShip(gridSlot, tuning = {}) {
+  const id = `p${++nextId}`;
+  handleMessage({ type: 'addPlayer', playerId: id, gridSlot, ...tuning });
+  ships.push(id);
+  return id;
+}
+
+function step(ticks) {
+  for (let i = 0; i < ticks; i++) updatePhysics();
+}
+
+function input(seq, throttle, inputAxis = { x: 0, y: 0 }, id = playerId) {
+  handleMessage({ type: 'input', playerId: id, seq, throttle, inputAxis });
+}
+
+function position(id = playerId) {
+  return playerPositions()[id];
+}
+
+function lastPosted(type) {
+  return posted.filter(msg => msg.type === type).at(-1);
+}
+
+beforeEach(() => {
+  for (const id of ships) handleMessage({ type: 'removePlayer', playerId: id });
+  ships = [];
+  posted.length = 0;
+  handleMessage({ type: 'phase', phase: 'lobby' });
+  playerId = addShip(0);
+});
+
+describe('resume', () => {
+  test('a resumed client steers again from seq 1', () => {
+    handleMessage({ type: 'phase', phase: 'racing' });
+    input(20, 0);
+    step(5);
+    const parked = position();
+
+    input(1, 1);
+    step(10);
+    expect(position()).toEqual(parked);
+
+    handleMessage({ type: 'resume', playerId });
+    input(1, 1);
+    step(10);
+    expect(position()[2]).toBeGreaterThan(parked[2]);
+  });
+});
+
+describe('phase enforcement', () => {
+  test('inputs before the race leave the ship on its grid pose', () => {
+    const grid = position();
+    let seq = 0;
+    for (const phase of ['lobby', 'racecountdown']) {
+      handleMessage({ type: 'phase', phase });
+      input(++seq, 1);
+      step(30);
+      expect(position()).toEqual(grid);
+    }
+    // Nothing sent before the start carries over into the race
+    handleMessage({ type: 'phase', phase: 'racing' });
+    step(30);
+    expect(position()).toEqual(grid);
+  });
+
+  test('racing releases the ship', () => {
+    const grid = position();
+    handleMessage({ type: 'phase', phase: 'racing' });
+    input(1, 1);
+    step(30);
+    expect(position()[2]).toBeGreaterThan(grid[2]);
+  });
+
+  test('a finished ship stops taking input', () => {
+    handleMessage({ type: 'config', playerId, playerSpeed: 200, acceleration: 400 });
+    handleMessage({ type: 'phase', phase: 'racing' });
+    let seq = 0;
+    // Full throttle past the finish line at the end of the track
+    while (position()[2] < 1010 && seq < 1000) {
+      input(++seq, 1);
+      step(1);
+    }
+    expect(position()[2]).toBeGreaterThanOrEqual(1010);
+
+    // Pulling up would bend its path; a finished ship coasts straight on
+    const [x, y, z] = position();
+    for (let i = 0; i < 60; i++) {
+      input(++seq, 1, { x: 0, y: 1 });
+      step(1);
+    }
+    expect(position()[0]).toBeCloseTo(x, 6);
+    expect(position()[1]).toBeCloseTo(y, 6);
+    expect(position()[2]).toBeGreaterThan(z);
+  });
+});
+
+describe('drafting', () => {
+  test('a ship following another on server defaults gains draft', () => {
+    handleMessage({ type: 'removePlayer', playerId });
+    const leader = addShip(0, SERVER_DEFAULTS);   // front row, left lane
+    const follower = addShip(2, SERVER_DEFAULTS); // a row behind in the same lane
+    handleMessage({ type: 'phase', phase: 'racing' });
+    input(1, 1, undefined, leader);
+    input(1, 1, undefined, follower);
+    // Slow ships: the leader leaves a wake after about three seconds
+    step(420);
+
+    const { state } = lastPosted('stateUpdate');
+    expect(state[leader].draft).toBe(0);
+    expect(state[follower].draft).toBeGreaterThan(0.5);
+    // The bonus closes the gap to the leader
+    expect(position(leader)[2] - position(follower)[2]).toBeLessThan(8);
+  });
+});
+
+describe('ship collisions', () => {
+  function ram() {
+    const ahead = addShip(0);  // front row, left lane
+    const behind = addShip(2); // a row behind in the same lane
+    handleMessage({ type: 'phase', phase: 'racing' });
+    input(1, 1, undefined, behind);
+    // Rams the parked ship, then keeps pushing it along
+    step(400);
+    return [ahead, behind];
+  }
+
+  test('a pair reports collisions on impact, not while resting in contact', () => {
+    handleMessage({ type: 'removePlayer', playerId });
+    const [ahead, behind] = ram();
+
+    const collisions = posted.filter(msg => msg.type === 'collision');
+    expect(collisions.length).toBeGreaterThan(0);
+    expect(collisions[0].playerIds).toEqual([ahead, behind]);
+    // Resting in contact reports nothing more
+    posted.length = 0;
+    step(60);
+    expect(lastPosted('collision')).toBeUndefined();
+  });
+
+  test('ships that reuse a departed pair\'s indices still collide', () => {
+    handleMessage({ type: 'removePlayer', playerId });
+    for (const id of ram()) handleMessage({ type: 'removePlayer', playerId: id });
+    posted.length = 0;
+
+    const [ahead, behind] = ram();
+    expect(posted.find(msg => msg.type === 'collision').playerIds).toEqual([ahead, behind]);
+  });
+});
+
+describe('items', () => {
+  test('a ship driving over a boost pad collects it and speeds up', () => {
+    // A pad in the left lane just ahead of the front row
+    handleMessage({ type: 'init', items: [{ id: 0, kind: 'boostPad', position: [360, -3, 2], radius: 4, respawnSeconds: 30 }] });
+    try {
+      handleMessage({ type: 'removePlayer', playerId });
+      const boosted = addShip(0); // front row, left lane
+      const plain = addShip(1);   // front row, right lane
+      handleMessage({ type: 'phase', phase: 'racing' });
+      input(1, 1, undefined, boosted);
+      input(1, 1, undefined, plain);
+      // Reaches the pad after a second or so; the boost lasts two
+      step(180);
+
+      expect(lastPosted('itemCollected')).toMatchObject({ itemId: 0, kind: 'boostPad', playerId: boosted, effect: 'boost', seconds: 2 });
+      expect(posted.filter(msg => msg.type === 'itemCollected')).toHaveLength(1);
+      const { state, items } = lastPosted('stateUpdate');
+      expect(items).toEqual([false]);
+      expect(state[boosted].velocity[2]).toBeGreaterThan(state[plain].velocity[2] * 1.2);
+    } finally {
+      handleMessage({ type: 'init', items: [] });
+    }
+  });
+});
+
+describe('fixed-step loop', () => {
+  const STEP_MS = 1000 / 60;
+
+  test('a late frame runs at most five steps and drops the rest', () => {
+    // Timers only wake the loop; elapsed time comes from performance.now()
+    jest.useFakeTimers({ doNotFake: ['performance'] });
+    let now = 5000;
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+    try {
+      handleMessage({ type: 'start' });
+      const startTick = currentTick();
+
+      // A stall of a second and a half step owes 60 steps
+      now += 1000 + STEP_MS / 2;
+      jest.advanceTimersToNextTimer();
+      expect(currentTick()).toBe(startTick + 5);
+      expect(lastPosted('tickOverrun')).toEqual({ type: 'tickOverrun', tick: startTick + 5, droppedSteps: 55 });
+
+      // Only the half step is carried over, so the next frame does not catch up
+      now += STEP_MS;
+      jest.advanceTimersToNextTimer();
+      expect(currentTick()).toBe(startTick + 6);
+    } finally {
+      handleMessage({ type: 'stop' });
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    }
+  });
+});
+
+describe('init', () => {
+  test('a replacement worker counts on from the previous tick', () => {
+    handleMessage({ type: 'init', startTick: 1200 });
+    step(6);
+
+    expect(currentTick()).toBe(1206);
+    expect(lastPosted('stateUpdate').tick).toBeGreaterThan(1200);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, test } from '@jest/globals';
+import { createBoundsState, updateBounds } from '../bounds.js';
+
+const options = { radius: 10, thresholdSeconds: 1 };
+
+describe('updateBounds', () => {
+  test('reports leaving, the penalty and coming back', () => {
+    const bounds = createBoundsState();
+    expect(updateBounds(bounds, 5, 0.5, options)).toBeNull();
+    expect(updateBounds(bounds, 12, 0.5, options)).toBe('exit');
+    expect(updateBounds(bounds, 12, 0.25, options)).toBeNull();
+    expect(updateBounds(bounds, 12, 0.25, options)).toBe('penalty');
+    expect(updateBounds(bounds, 12, 0.5, options)).toBeNull();
+    expect(bounds).toMatchObject({ outside: true, penalized: true, total: 1.5 });
+
+    expect(updateBounds(bounds, 10, 0.5, options)).toBe('return');
+    expect(bounds).toMatchObject({ outside: false, penalized: false, excursion: 0, total: 1.5 });
+  });
+
+  test('the threshold applies to each excursion, not the total', () => {
+    const bounds = createBoundsState();
+    updateBounds(bounds, 20, 0.75, options);
+    updateBounds(bounds, 0, 0.5, options);
+    expect(updateBounds(bounds, 20, 0.75, options)).toBe('exit');
+    expect(bounds.total).toBe(1.5);
+    expect(bounds.penalized).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from '@jest/globals';
+import { Vector3 } from '../math.js';
+import { capsuleFromBox, closestPointsOnSegments, collideCapsules, resolveCollision } from '../collision.js';
+
+const capsule = (x, y, z, axis = [0, 0, 1]) => ({
+  center: new Vector3(x, y, z),
+  axis: new Vector3(...axis),
+  ...capsuleFromBox({ x: 1, y: 0.5, z: 2 }),
+});
+
+const body = (x, vx, mass = 1) => ({ pos: new Vector3(x, 0, 0), velocity: new Vector3(vx, 0, 0), mass });
+
+describe('capsules', () => {
+  test('fits the ship box', () => {
+    expect(capsuleFromBox({ x: 1, y: 0.5, z: 2 })).toEqual({ radius: 1, halfLength: 1 });
+  });
+
+  test('closest points between crossing and parallel segments', () => {
+    const a = new Vector3();
+    const b = new Vector3();
+    closestPointsOnSegments(
+      new Vector3(-1, 0, 0), new Vector3(1, 0, 0),
+      new Vector3(0.5, 2, -1), new Vector3(0.5, 2, 1),
+      a, b,
+    );
+    expect(a).toEqual({ x: 0.5, y: 0, z: 0 });
+    expect(b).toEqual({ x: 0.5, y: 2, z: 0 });
+
+    closestPointsOnSegments(
+      new Vector3(0, 0, 0), new Vector3(0, 0, 4),
+      new Vector3(3, 0, 6), new Vector3(3, 0, 2),
+      a, b,
+    );
+    expect(a.z).toBeCloseTo(b.z);
+    expect(b.x - a.x).toBe(3);
+  });
+
+  test('reports the normal and depth of overlapping ships', () => {
+    const out = { normal: new Vector3(), depth: 0 };
+    expect(collideCapsules(capsule(0, 0, 0), capsule(1.5, 0, 0.5), out)).toBe(true);
+    expect(out.normal).toEqual({ x: 1, y: 0, z: 0 });
+    expect(out.depth).toBeCloseTo(0.5);
+
+    // End to end along the long axis
+    expect(collideCapsules(capsule(0, 0, 0), capsule(0, 0, 3.5), out)).toBe(true);
+    expect(out.normal).toEqual({ x: 0, y: 0, z: 1 });
+    expect(out.depth).toBeCloseTo(0.5);
+
+    expect(collideCapsules(capsule(0, 0, 0), capsule(2.5, 0, 0), out)).toBe(false);
+  });
+});
+
+describe('resolveCollision', () => {
+  const normal = new Vector3(1, 0, 0);
+
+  test('equal masses trade velocities in an elastic collision', () => {
+    const a = body(0, 10);
+    const b = body(1.5, -10);
+    expect(resolveCollision(a, b, normal, 0.5, 1)).toBe(20);
+    expect(a.velocity.x).toBeCloseTo(-10);
+    expect(b.velocity.x).toBeCloseTo(10);
+    expect(a.pos.x).toBeCloseTo(-0.25);
+    expect(b.pos.x).toBeCloseTo(1.75);
+  });
+
+  test('a heavier ship is pushed less and slowed less', () => {
+    const heavy = body(0, 10, 3);
+    const light = body(1.5, 0, 1);
+    resolveCollision(heavy, light, normal, 0.4, 0);
+    expect(heavy.pos.x).toBeCloseTo(-0.1);
+    expect(light.pos.x).toBeCloseTo(1.8);
+    // Perfectly inelastic: both leave at the common speed
+    expect(heavy.velocity.x).toBeCloseTo(7.5);
+    expect(light.velocity.x).toBeCloseTo(7.5);
+  });
+
+  test('separating ships are pushed apart without an impulse', () => {
+    const a = body(0, -1);
+    const b = body(1.5, 1);
+    expect(resolveCollision(a, b, normal, 0.5, 1)).toBe(0);
+    expect(a.velocity.x).toBe(-1);
+    expect(b.velocity.x).toBe(1);
+  });
+});
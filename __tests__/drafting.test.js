@@ -0,0 +1,49 @@
+import { describe, expect, test } from '@jest/globals';
+import { Vector3 } from '../math.js';
+import {
+  DRAFTING_DEFAULTS,
+  draftMultiplier,
+  inSlipstream,
+  updateDraftLevel,
+  wakeDirection,
+} from '../drafting.js';
+
+const options = { ...DRAFTING_DEFAULTS, range: 20, angle: 10 };
+const north = new Vector3(0, 0, 1);
+const leader = new Vector3(0, 0, 50);
+
+describe('inSlipstream', () => {
+  test('only inside the cone behind the leader, facing the same way', () => {
+    expect(inSlipstream(new Vector3(0, 0, 40), north, leader, north, options)).toBe(true);
+    expect(inSlipstream(new Vector3(1, 0, 35), north, leader, north, options)).toBe(true);
+
+    expect(inSlipstream(new Vector3(0, 0, 25), north, leader, north, options)).toBe(false); // too far
+    expect(inSlipstream(new Vector3(0, 0, 60), north, leader, north, options)).toBe(false); // ahead
+    expect(inSlipstream(new Vector3(5, 0, 45), north, leader, north, options)).toBe(false); // off to the side
+    const sideways = new Vector3(1, 0, 0);
+    expect(inSlipstream(new Vector3(0, 0, 40), sideways, leader, north, options)).toBe(false);
+  });
+
+  test('the wake follows the leader\'s velocity and needs it moving for its top speed', () => {
+    const out = new Vector3();
+    expect(wakeDirection(new Vector3(0, 0, 20), 50, out)).toBe(true);
+    expect(out).toEqual({ x: 0, y: 0, z: 1 });
+    expect(wakeDirection(new Vector3(0, 0, 5), 50, out)).toBe(false);
+    expect(wakeDirection(new Vector3(0, 0, 0.5), 1, out)).toBe(true);
+    expect(wakeDirection(new Vector3(0, 0, 0), 0, out)).toBe(false);
+  });
+});
+
+describe('draft level', () => {
+  test('builds and fades gradually', () => {
+    let level = 0;
+    level = updateDraftLevel(level, true, 0.5, options);
+    expect(level).toBe(0.5);
+    expect(draftMultiplier(level, options)).toBeCloseTo(1.1);
+    level = updateDraftLevel(level, true, 1, options);
+    expect(level).toBe(1);
+    level = updateDraftLevel(level, false, 0.25, options);
+    expect(level).toBe(0.5);
+    expect(updateDraftLevel(level, false, 1, options)).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, test } from '@jest/globals';
+import { createInputBuffer, inputBufferDepth, pushInput, restartInputSeq, takeInput } from '../inputBuffer.js';
+
+function drain(buffer, tick) {
+  const applied = [];
+  let input;
+  while ((input = takeInput(buffer, tick)) !== null) applied.push(input);
+  return applied;
+}
+
+describe('input buffer', () => {
+  test('holds inputs for the delay and applies them in tick order', () => {
+    const buffer = createInputBuffer({ delayTicks: 2 });
+    pushInput(buffer, { seq: 1, tick: 12, throttle: 1 }, 10);
+    pushInput(buffer, { seq: 2, tick: 10, throttle: 0.5 }, 10);
+    expect(inputBufferDepth(buffer)).toBe(2);
+
+    expect(drain(buffer, 11)).toEqual([]);
+    expect(drain(buffer, 12)).toEqual([{ seq: 2, tick: 12, throttle: 0.5 }]);
+    expect(drain(buffer, 13)).toEqual([]);
+    expect(drain(buffer, 14)).toEqual([{ seq: 1, tick: 14, throttle: 1 }]);
+    expect(inputBufferDepth(buffer)).toBe(0);
+  });
+
+  test('stamps unticked inputs from their arrival', () => {
+    const buffer = createInputBuffer({ delayTicks: 3 });
+    pushInput(buffer, { throttle: 1 }, 20);
+    expect(drain(buffer, 22)).toEqual([]);
+    expect(drain(buffer, 23)).toHaveLength(1);
+  });
+
+  test('applies slightly late inputs on the next tick and drops stale ones', () => {
+    const buffer = createInputBuffer({ delayTicks: 2, staleTicks: 5 });
+    expect(pushInput(buffer, { tick: 95 }, 100)).toBe(true);
+    expect(buffer.entries[0].tick).toBe(100);
+    expect(pushInput(buffer, { tick: 90 }, 100)).toBe(false);
+    expect(buffer.dropped).toBe(1);
+  });
+
+  test('drops out-of-order sequence numbers', () => {
+    const buffer = createInputBuffer();
+    expect(pushInput(buffer, { seq: 5 }, 0)).toBe(true);
+    expect(pushInput(buffer, { seq: 4 }, 0)).toBe(false);
+    expect(pushInput(buffer, { seq: 5 }, 0)).toBe(false);
+    expect(inputBufferDepth(buffer)).toBe(1);
+  });
+
+  test('a restarted sequence is accepted from 1 and drops what was queued', () => {
+    const buffer = createInputBuffer();
+    pushInput(buffer, { seq: 20, throttle: 0 }, 0);
+    restartInputSeq(buffer);
+    expect(inputBufferDepth(buffer)).toBe(0);
+    expect(pushInput(buffer, { seq: 1, throttle: 1 }, 0)).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, test } from '@jest/globals';
+import { buildTrack } from '../track.js';
+import {
+  applyEffect,
+  createEffects,
+  effectActive,
+  itemEffect,
+  placeItems,
+  speedMultiplier,
+} from '../items.js';
+
+const circle = [];
+for (let i = 0; i < 64; i++) {
+  const a = (i / 64) * Math.PI * 2;
+  circle.push([Math.cos(a) * 100, 0, Math.sin(a) * 100]);
+}
+
+describe('placeItems', () => {
+  test('places items along the track with lanes offset across it', () => {
+    const items = placeItems(buildTrack(circle), [
+      { kind: 'boostPad', t: 0 },
+      { kind: 'itemBox', t: 0, lane: 5 },
+    ]);
+
+    expect(items[0]).toMatchObject({ id: 0, kind: 'boostPad', radius: 4, respawnSeconds: 1 });
+    expect(items[0].position[0]).toBeCloseTo(100);
+    expect(items[0].position[1]).toBeCloseTo(0);
+    // Heading +z at (100, 0, 0) with radial up, right is +y
+    expect(items[1].position[1]).toBeCloseTo(5);
+    expect(items[1].id).toBe(1);
+  });
+
+  test('there are no items without a track', () => {
+    expect(placeItems(null)).toEqual([]);
+  });
+});
+
+describe('effects', () => {
+  test('boost pads boost, item boxes pick deterministically', () => {
+    expect(itemEffect({ id: 3, kind: 'boostPad' }, 7)).toBe('boost');
+    const box = { id: 1, kind: 'itemBox' };
+    expect(itemEffect(box, 10)).toBe(itemEffect(box, 10));
+    expect(new Set([itemEffect(box, 10), itemEffect(box, 11)])).toEqual(new Set(['boost', 'shield']));
+  });
+
+  test('last a fixed number of ticks', () => {
+    const effects = createEffects();
+    expect(speedMultiplier(effects, 0)).toBe(1);
+    expect(applyEffect(effects, 'boost', 100, 1 / 60)).toBe(220);
+    expect(speedMultiplier(effects, 219)).toBe(1.5);
+    expect(speedMultiplier(effects, 220)).toBe(1);
+    expect(effectActive(effects, 'shield', 150)).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, test } from '@jest/globals';
+import { heartbeatExpired, idlePlayers, recordPong } from '../liveness.js';
+
+function racer(id, fields = {}) {
+  return { id, socket: {}, finishedAt: null, lastInputAt: 1000, ...fields };
+}
+
+function room(players, phase = 'racing') {
+  return { phase, players: Object.fromEntries(players.map(p => [p.id, p])) };
+}
+
+describe('recordPong', () => {
+  test('measures the round trip from the latest ping', () => {
+    const conn = { lastPongAt: 0, lastPingAt: 5000 };
+    recordPong(conn, 5040);
+    expect(conn).toMatchObject({ lastPongAt: 5040, rtt: 40 });
+
+    conn.lastPingAt = 15000;
+    recordPong(conn, 15120);
+    expect(conn.rtt).toBe(120);
+  });
+
+  test('leaves rtt unset before the first ping', () => {
+    const conn = { lastPongAt: 0 };
+    recordPong(conn, 5000);
+    expect(conn.lastPongAt).toBe(5000);
+    expect(conn.rtt).toBeUndefined();
+  });
+});
+
+describe('heartbeatExpired', () => {
+  test('times out once the last pong is older than the limit', () => {
+    const conn = { lastPongAt: 1000 };
+    expect(heartbeatExpired(conn, 31000, 30000)).toBe(false);
+    expect(heartbeatExpired(conn, 31001, 30000)).toBe(true);
+  });
+
+  test('a pong resets the clock', () => {
+    const conn = { lastPongAt: 1000, lastPingAt: 30000 };
+    recordPong(conn, 30010);
+    expect(heartbeatExpired(conn, 40000, 30000)).toBe(false);
+  });
+});
+
+describe('idlePlayers', () => {
+  test('picks racers without input for longer than the limit', () => {
+    const fresh = racer('fresh', { lastInputAt: 50000 });
+    const idle = racer('idle');
+    expect(idlePlayers(room([fresh, idle]), 61000, 60000)).toEqual([]);
+    expect(idlePlayers(room([fresh, idle]), 61001, 60000)).toEqual([idle]);
+  });
+
+  test('skips disconnected and finished players', () => {
+    const held = racer('held', { socket: null });
+    const done = racer('done', { finishedAt: 2000 });
+    expect(idlePlayers(room([held, done]), 100000, 60000)).toEqual([]);
+  });
+
+  test('only applies while racing, and 0 disables it', () => {
+    const players = [racer('a')];
+    expect(idlePlayers(room(players, 'lobby'), 100000, 60000)).toEqual([]);
+    expect(idlePlayers(room(players, 'results'), 100000, 60000)).toEqual([]);
+    expect(idlePlayers(room(players), 100000, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, test } from '@jest/globals';
+import { createLobbyPolicy, evaluateLobby } from '../lobby.js';
+
+const policy = createLobbyPolicy({ minPlayers: 2, maxPlayers: 4, maxWaitMs: 30000 });
+
+function evaluate(playerCount, readyCount, now = 1000) {
+  return evaluateLobby({ playerCount, readyCount, openedAt: 0, now }, policy);
+}
+
+describe('createLobbyPolicy', () => {
+  test('fills defaults and keeps minPlayers within bounds', () => {
+    expect(createLobbyPolicy()).toMatchObject({ minPlayers: 1, maxPlayers: 8, maxWaitMs: 0 });
+    expect(createLobbyPolicy({ minPlayers: 12, maxPlayers: 4 }).minPlayers).toBe(4);
+    expect(createLobbyPolicy({ minPlayers: 0 }).minPlayers).toBe(1);
+    expect(createLobbyPolicy({ unknown: true })).not.toHaveProperty('unknown');
+  });
+});
+
+describe('evaluateLobby', () => {
+  test('waits for players until the minimum is met', () => {
+    expect(evaluate(1, 1)).toMatchObject({ startReason: null, waitingFor: 'players' });
+  });
+
+  test('waits for ready players once enough have joined', () => {
+    expect(evaluate(3, 2)).toMatchObject({ startReason: null, waitingFor: 'ready' });
+  });
+
+  test('starts when everyone is ready', () => {
+    expect(evaluate(2, 2)).toMatchObject({ startReason: 'allReady', waitingFor: null });
+  });
+
+  test('starts when the room fills', () => {
+    expect(evaluate(4, 0)).toMatchObject({ startReason: 'full' });
+    const noFullStart = createLobbyPolicy({ maxPlayers: 4, startWhenFull: false });
+    expect(evaluateLobby({ playerCount: 4, readyCount: 0, openedAt: 0, now: 0 }, noFullStart).startReason).toBeNull();
+  });
+
+  test('starts when the maximum wait expires', () => {
+    expect(evaluate(1, 0, 29999)).toMatchObject({ startReason: null, deadline: 30000 });
+    expect(evaluate(1, 0, 30000)).toMatchObject({ startReason: 'timeout' });
+  });
+
+  test('never starts an empty room', () => {
+    expect(evaluate(0, 0, 60000).startReason).toBeNull();
+  });
+});
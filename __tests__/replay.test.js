@@ -0,0 +1,62 @@
+import { describe, expect, test } from '@jest/globals';
+import { REPLAY_VERSION, comparePositions, parseReplay, resimulate } from '../replay.js';
+
+// One-dimensional stand-in for the worker: x += throttle each step
+function createFakeSim() {
+  let tick = 0;
+  const players = {};
+  const log = [];
+  return {
+    log,
+    handleMessage(data) {
+      log.push(`${tick}:${data.type}`);
+      if (data.type === 'addPlayer') players[data.playerId] = { x: 0, throttle: 0, pending: [] };
+      if (data.type === 'input') players[data.playerId].pending.push(data);
+    },
+    updatePhysics() {
+      tick++;
+      for (const p of Object.values(players)) {
+        while (p.pending.length && p.pending[0].tick <= tick) p.throttle = p.pending.shift().throttle;
+        p.x += p.throttle;
+      }
+    },
+    currentTick: () => tick,
+    playerPositions: () => Object.fromEntries(Object.entries(players).map(([id, p]) => [id, [p.x, 0, 0]])),
+  };
+}
+
+const lines = [
+  { type: 'header', version: REPLAY_VERSION, init: { curvePoints: null, inputDelayTicks: 2 } },
+  { type: 'message', tick: 0, message: { type: 'addPlayer', playerId: 'a' } },
+  { type: 'input', tick: 3, playerId: 'a', throttle: 1 },
+  { type: 'input', tick: 5, playerId: 'a', throttle: 2 },
+  { type: 'check', tick: 6, positions: { a: [6, 0, 0] } },
+];
+const text = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+
+describe('replays', () => {
+  test('parses NDJSON and rejects other versions', () => {
+    const { header, events } = parseReplay(text);
+    expect(header.init.inputDelayTicks).toBe(2);
+    expect(events).toHaveLength(4);
+
+    const future = JSON.stringify({ ...lines[0], version: REPLAY_VERSION + 1 });
+    expect(() => parseReplay(future)).toThrow(`Unsupported replay version ${REPLAY_VERSION + 1}`);
+    expect(() => parseReplay(JSON.stringify(lines[1]))).toThrow('missing its header');
+  });
+
+  test('feeds events to the simulation on their recorded ticks', () => {
+    const sim = createFakeSim();
+    const result = resimulate(parseReplay(text), sim);
+
+    expect(sim.log).toEqual(['0:init', '0:addPlayer', '2:input', '4:input']);
+    expect(result).toEqual({ ticks: 6, checks: 1, mismatches: [] });
+  });
+
+  test('reports positions that diverge', () => {
+    expect(comparePositions(6, { a: [6, 0, 0], b: [1, 0, 0] }, { a: [6.5, 0, 0] })).toEqual([
+      { tick: 6, playerId: 'a', expected: [6, 0, 0], actual: [6.5, 0, 0], error: 0.5 },
+      { tick: 6, playerId: 'b', expected: [1, 0, 0], actual: null, error: Infinity },
+    ]);
+  });
+});
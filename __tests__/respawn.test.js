@@ -0,0 +1,35 @@
+import { describe, expect, test } from '@jest/globals';
+import { createStuckTimer, lastPassedGate, updateStuckTimer } from '../respawn.js';
+
+const options = { stuckSeconds: 1, stuckSpeedRatio: 0.1 };
+
+describe('updateStuckTimer', () => {
+  test('fires after enough time slow under throttle', () => {
+    const timer = createStuckTimer();
+    expect(updateStuckTimer(timer, 0.05, 1, 0.5, options)).toBe(false);
+    expect(updateStuckTimer(timer, 0.05, 1, 0.5, options)).toBe(true);
+    expect(timer.time).toBe(0);
+  });
+
+  test('resets when the ship moves, coasts or the detector is off', () => {
+    const timer = createStuckTimer();
+    updateStuckTimer(timer, 0.05, 1, 0.75, options);
+    expect(updateStuckTimer(timer, 0.5, 1, 0.5, options)).toBe(false);
+    expect(timer.time).toBe(0);
+
+    updateStuckTimer(timer, 0.05, 1, 0.75, options);
+    updateStuckTimer(timer, 0.05, 0, 0.5, options);
+    expect(timer.time).toBe(0);
+
+    expect(updateStuckTimer(timer, 0, 1, 5, { ...options, stuckSeconds: 0 })).toBe(false);
+  });
+});
+
+describe('lastPassedGate', () => {
+  test('counts back from the next gate, wrapping on loops once started', () => {
+    expect(lastPassedGate(3, 8, { closed: true, started: true })).toBe(2);
+    expect(lastPassedGate(0, 8, { closed: true, started: true })).toBe(7);
+    expect(lastPassedGate(0, 8, { closed: true, started: false })).toBe(-1);
+    expect(lastPassedGate(0, 8, { closed: false, started: false })).toBe(-1);
+  });
+});
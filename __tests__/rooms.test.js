@@ -0,0 +1,239 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import WebSocket from 'ws';
+import { decodeSnapshot } from '../snapshot.js';
+
+// Read when server.js loads: leave rooms on close, let a client start the race
+// and cut races off after a second
+process.env.RESUME_GRACE_MS = '0';
+process.env.ALLOW_FORCE_START = 'true';
+process.env.RACE_TIME_LIMIT_SECONDS = '1';
+const { startServer, state } = await import('../server.js');
+
+let server;
+let port;
+let logs;
+const sockets = [];
+const roomIds = [];
+
+// Binary snapshots are collected as { type: 'binary', snapshot }
+function connect(query = '') {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/${query}`);
+  sockets.push(ws);
+  ws.messages = [];
+  ws.on('message', (data, isBinary) => {
+    ws.messages.push(isBinary ? { type: 'binary', snapshot: decodeSnapshot(data) } : JSON.parse(data));
+  });
+  ws.sendMessage = (type, payload) => ws.send(JSON.stringify({ type, payload }));
+  return ws;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  let value;
+  while (!(value = condition())) {
+    if (Date.now() > until) throw new Error('timed out');
+    await sleep(10);
+  }
+  return value;
+}
+
+// Payload of the first message of this type the client has received
+async function next(ws, type, timeoutMs) {
+  const msg = await waitFor(() => ws.messages.find(m => m.type === type), timeoutMs);
+  return msg.payload;
+}
+
+async function connected(query) {
+  const ws = connect(query);
+  await next(ws, 'connected');
+  return ws;
+}
+
+// A client that created a private room; resolves with its socket, room and 'joined' payload
+async function host(lobby) {
+  const ws = await connected();
+  ws.sendMessage('room:create', { name: 'host', lobby });
+  const joined = await next(ws, 'joined');
+  roomIds.push(joined.roomId);
+  return { ws, room: state.rooms[joined.roomId], joined };
+}
+
+// The error a client gets back for a join by code
+async function joinError(code) {
+  const ws = await connected();
+  ws.sendMessage('room:join', { name: 'guest', code });
+  return next(ws, 'error');
+}
+
+beforeAll(async () => {
+  logs = jest.spyOn(console, 'log').mockImplementation(() => {});
+  server = startServer(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  port = server.address().port;
+});
+
+afterAll(async () => {
+  for (const ws of sockets) ws.terminate();
+  await waitFor(() => Object.keys(state.rooms).length === 0, 5000);
+  // Closed rooms stop their workers in the background; let them all exit
+  const exited = id => logs.mock.calls.some(([line]) => String(line).includes(`room ${id} exited`));
+  await waitFor(() => roomIds.every(exited), 5000);
+  await new Promise(resolve => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+describe('room:create', () => {
+  test('creates a private room with a join code', async () => {
+    const { ws, room, joined } = await host();
+
+    expect(joined.code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    expect(room).toMatchObject({ isPrivate: true, code: joined.code });
+    expect(Object.keys(room.players)).toEqual([joined.playerId]);
+    ws.close();
+  });
+
+  test('a player already in a room cannot create another', async () => {
+    const { ws, room, joined } = await host();
+    ws.sendMessage('room:create', { name: 'host' });
+
+    expect(await next(ws, 'error')).toMatchObject({ code: 'ALREADY_IN_ROOM', ref: 'room:create' });
+    expect(Object.values(state.rooms).filter(r => r.players[joined.playerId])).toEqual([room]);
+    ws.close();
+  });
+});
+
+describe('room:join', () => {
+  test('joins a private room by its code', async () => {
+    const { ws, room } = await host();
+    const guest = await connected();
+    // Codes are matched ignoring case and surrounding space
+    guest.sendMessage('room:join', { name: 'guest', code: ` ${room.code.toLowerCase()} ` });
+    const joined = await next(guest, 'joined');
+
+    expect(joined).toMatchObject({ roomId: room.id, code: room.code });
+    expect(room.players[joined.playerId].name).toBe('guest');
+    ws.close();
+    guest.close();
+  });
+
+  test('an unknown code is ROOM_NOT_FOUND', async () => {
+    expect(await joinError('ZZZZZZ')).toMatchObject({ code: 'ROOM_NOT_FOUND', ref: 'room:join' });
+  });
+
+  test('a room with every slot taken is ROOM_FULL', async () => {
+    const { ws, room } = await host();
+    const guests = [];
+    while (guests.length < room.lobbyPolicy.maxPlayers - 1) {
+      const guest = await connected();
+      guest.sendMessage('room:join', { name: 'guest', code: room.code });
+      await next(guest, 'joined');
+      guests.push(guest);
+    }
+
+    expect(await joinError(room.code)).toMatchObject({ code: 'ROOM_FULL', ref: 'room:join' });
+    expect(Object.keys(room.players)).toHaveLength(room.lobbyPolicy.maxPlayers);
+    for (const guest of [ws, ...guests]) guest.close();
+  });
+
+  test('a room that has left the lobby is ROOM_IN_PROGRESS', async () => {
+    const { ws, room } = await host();
+    ws.sendMessage('startNow');
+    await waitFor(() => room.phase !== 'lobby');
+
+    expect(await joinError(room.code)).toMatchObject({ code: 'ROOM_IN_PROGRESS', ref: 'room:join' });
+    ws.close();
+  });
+
+  test('a player already in a room cannot join another', async () => {
+    const { ws, room } = await host();
+    const other = await host();
+    ws.sendMessage('room:join', { name: 'host', code: other.room.code });
+
+    expect(await next(ws, 'error')).toMatchObject({ code: 'ALREADY_IN_ROOM', ref: 'room:join' });
+    expect(Object.keys(other.room.players)).toHaveLength(1);
+    expect(Object.keys(room.players)).toHaveLength(1);
+    ws.close();
+    other.ws.close();
+  });
+});
+
+describe('spectators', () => {
+  // A host alone in its room, watched by a spectator
+  async function watched(query, lobby) {
+    const { ws, room, joined } = await host(lobby);
+    const spectator = await connected(query);
+    const { playerId: spectatorId } = await next(spectator, 'connected');
+    spectator.sendMessage('spectate', { name: 'watcher', code: room.code });
+    await next(spectator, 'spectating');
+    return { ws, room, playerId: joined.playerId, spectator, spectatorId };
+  }
+
+  test('get binary snapshots of the racers when they opted in', async () => {
+    const { ws, room, spectator } = await watched('?snapshot=binary');
+    const { snapshot } = await waitFor(() => spectator.messages.find(m => m.type === 'binary'));
+
+    expect(snapshot.players.map(p => p.index)).toEqual(Object.values(room.players).map(p => p.index));
+    expect(spectator.messages.find(m => m.type === 'physics:update')).toBeUndefined();
+    ws.close();
+    spectator.close();
+  });
+
+  test('are listed apart from the players and left out of standings and votes', async () => {
+    const { ws, room, playerId, spectator, spectatorId } = await watched('', { countdownSeconds: 1 });
+    expect(room.players[spectatorId]).toBeUndefined();
+    const update = await waitFor(() => spectator.messages.findLast(m => m.type === 'room:update'));
+    expect(update.payload.players.map(p => p.id)).toEqual([playerId]);
+    expect(update.payload.spectators).toEqual([{ id: spectatorId, name: 'watcher' }]);
+
+    // Counts down for 1 + 5 s once the host is ready; the race is cut off after 1 s
+    ws.sendMessage('setReady', { ready: true });
+    const { standings } = await next(spectator, 'race:standings', 8000);
+    expect(standings.map(s => s.id)).toEqual([playerId]);
+    const { results } = await next(spectator, 'race:results', 3000);
+    expect(results.map(r => r.id)).toEqual([playerId]);
+
+    // The host's vote would decide it; the spectator's is not counted
+    spectator.sendMessage('vote', { choice: 'rematch' });
+    await sleep(100);
+    expect(room.votes).toEqual({});
+    expect(room.phase).toBe('results');
+    ws.close();
+    spectator.close();
+  }, 15000);
+
+  test('leaving gives up the slot and stops the room\'s broadcasts', async () => {
+    const { ws, room, spectator, spectatorId } = await watched();
+    spectator.sendMessage('removed');
+    await waitFor(() => !room.spectators[spectatorId]);
+    const update = await waitFor(() => ws.messages.findLast(m => m.type === 'room:update' && !m.payload.spectators.length));
+    expect(update.payload.spectators).toEqual([]);
+
+    spectator.messages.length = 0;
+    await sleep(200);
+    expect(spectator.messages.find(m => m.type === 'physics:update')).toBeUndefined();
+    ws.close();
+    spectator.close();
+  });
+
+  test('a closed spectator socket gives up its slot', async () => {
+    const { ws, room, spectator, spectatorId } = await watched();
+    spectator.close();
+    await waitFor(() => !room.spectators[spectatorId]);
+    ws.close();
+  });
+
+  test('joining a room stops spectating', async () => {
+    const { ws, room, spectator, spectatorId } = await watched();
+    const other = await host();
+    spectator.sendMessage('room:join', { name: 'guest', code: other.room.code });
+    await next(spectator, 'joined');
+
+    expect(room.spectators[spectatorId]).toBeUndefined();
+    expect(other.room.players[spectatorId]).toBeDefined();
+    ws.close();
+    other.ws.close();
+    spectator.close();
+  });
+});
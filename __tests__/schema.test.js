@@ -0,0 +1,84 @@
+import { describe, expect, test } from '@jest/globals';
+import { validate, validateClientMessage } from '../schema.js';
+
+describe('validate', () => {
+  test('checks primitive types and ranges', () => {
+    expect(validate({ type: 'number', min: 0, max: 1 }, 0.5)).toBeNull();
+    expect(validate({ type: 'number', min: 0, max: 1 }, 2)).toBe('payload must be a number between 0 and 1');
+    expect(validate({ type: 'number', integer: true }, 1.5)).toBe('payload must be an integer');
+    expect(validate({ type: 'string', maxLength: 3 }, 'abcd')).toBe('payload must be at most 3 characters');
+    expect(validate({ type: 'boolean' }, 'yes')).toBe('payload must be a boolean');
+  });
+
+  test('reports nested paths, array sizes and unknown keys', () => {
+    const schema = {
+      type: 'object',
+      required: ['points'],
+      properties: {
+        points: { type: 'array', maxItems: 2, items: { type: 'number' } },
+      },
+    };
+    expect(validate(schema, { points: [1, 2] })).toBeNull();
+    expect(validate(schema, {})).toBe('payload.points is required');
+    expect(validate(schema, { points: [1, 'x'] })).toBe('payload.points[1] must be a number');
+    expect(validate(schema, { points: [1, 2, 3] })).toBe('payload.points must have at most 2 items');
+    expect(validate(schema, { points: [], extra: 1 })).toBe('payload.extra is not allowed');
+  });
+
+  test('strips unknown keys when asked to', () => {
+    const value = { a: 1, extra: 'x' };
+    expect(validate({ type: 'object', additional: 'strip', properties: { a: { type: 'number' } } }, value)).toBeNull();
+    expect(value).toEqual({ a: 1 });
+  });
+
+  test('distinguishes missing from null values', () => {
+    expect(validate({ type: 'object' }, undefined)).toBe('payload is required');
+    expect(validate({ type: 'object', optional: true }, null)).toBeNull();
+    expect(validate({ type: 'object', properties: { a: { type: 'number' } } }, { a: null }))
+      .toBe('payload.a must be a number');
+  });
+});
+
+describe('validateClientMessage', () => {
+  test('accepts well-formed messages', () => {
+    expect(validateClientMessage({ type: 'setReady', payload: { ready: true } })).toEqual({ ok: true });
+    expect(validateClientMessage({ type: 'input', payload: { throttle: 1, inputAxis: { x: 0, y: -1 } } }))
+      .toEqual({ ok: true });
+    expect(validateClientMessage({
+      type: 'join',
+      payload: { name: 'a', fbmParams: { uOctaves: 6, useRidged: true }, curvePoints: [[0, 0, 0], [1, 0, 0]] },
+    })).toEqual({ ok: true });
+    expect(validateClientMessage({ type: 'startNow' })).toEqual({ ok: true });
+    expect(validateClientMessage({ type: 'spectate', payload: { code: 'ABC234' } })).toEqual({ ok: true });
+  });
+
+  test('rejects unknown types and bad payloads with a code', () => {
+    expect(validateClientMessage({ type: 'nope' })).toMatchObject({ ok: false, code: 'UNKNOWN_MESSAGE' });
+    expect(validateClientMessage({ payload: {} })).toMatchObject({ ok: false, code: 'INVALID_MESSAGE' });
+    expect(validateClientMessage({ type: 'setReady' }))
+      .toEqual({ ok: false, code: 'INVALID_PAYLOAD', message: 'payload is required' });
+    expect(validateClientMessage({ type: 'input', payload: { inputAxis: { x: 5, y: 0 } } }))
+      .toMatchObject({ ok: false, message: 'payload.inputAxis.x must be a number between -1 and 1' });
+    expect(validateClientMessage({ type: 'input', payload: { seq: 1.5, throttle: 1 } }))
+      .toMatchObject({ ok: false, message: 'payload.seq must be an integer between 1 and 4294967295' });
+    expect(validateClientMessage({ type: 'vote', payload: { choice: 'skip' } }))
+      .toMatchObject({ ok: false, message: 'payload.choice must be one of rematch, stage' });
+    expect(validateClientMessage({ type: 'config', payload: { type: 'addPlayer' } }))
+      .toMatchObject({ ok: false, message: 'payload.type is not allowed' });
+    expect(validateClientMessage({ type: 'join', payload: { curvePoints: [[0, 0], [1, 1]] } }))
+      .toMatchObject({ ok: false, message: 'payload.curvePoints[0] must have at least 3 items' });
+  });
+
+  test('bounds stage params the worker computes with', () => {
+    expect(validateClientMessage({ type: 'join', payload: { fbmParams: { uOctaves: 1e9 } } }))
+      .toMatchObject({ ok: false, message: 'payload.fbmParams.uOctaves must be an integer between 1 and 12' });
+    const join = { type: 'join', payload: { name: '', fbmParams: { uOctaves: 4, uSeed: 3 } } };
+    expect(validateClientMessage(join)).toEqual({ ok: true });
+    expect(join.payload.fbmParams).toEqual({ uOctaves: 4 });
+    const input = { type: 'input', payload: { throttle: 1, boost: true, inputAxis: { x: 0, y: 0, z: 1 } } };
+    expect(validateClientMessage(input)).toEqual({ ok: true });
+    expect(input.payload).toEqual({ throttle: 1, inputAxis: { x: 0, y: 0 } });
+    expect(validateClientMessage({ type: 'vote', payload: { choice: 'stage', curvePoints: [[0, 0, 0], [1e12, 0, 0]] } }))
+      .toMatchObject({ ok: false, message: 'payload.curvePoints[1][0] must be a number between -10000 and 10000' });
+  });
+});
@@ -1,6 +1,6 @@
 import http from 'http';
 import { afterEach, describe, expect, jest, test } from '@jest/globals';
-import { app, createLogThrottle } from '../server.js';
+import { app, createLogThrottle, generateRoomCode } from '../server.js';
 
 function request(pathname, port) {
   return new Promise((resolve, reject) => {
@@ -60,4 +60,12 @@ describe('server', () => {
     expect(consoleSpy).toHaveBeenNthCalledWith(1, 'first');
     expect(consoleSpy).toHaveBeenNthCalledWith(2, 'third');
   });
+
+  test('generateRoomCode returns short codes without ambiguous characters', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generateRoomCode();
+      expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    }
+    expect(generateRoomCode(4)).toHaveLength(4);
+  });
 });
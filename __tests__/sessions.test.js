@@ -0,0 +1,129 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import WebSocket from 'ws';
+
+// Short grace period so expiry can be tested; read when server.js loads
+process.env.RESUME_GRACE_MS = '300';
+const { startServer, state } = await import('../server.js');
+
+let server;
+let port;
+const sockets = [];
+
+function connect() {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  sockets.push(ws);
+  ws.messages = [];
+  ws.on('message', data => ws.messages.push(JSON.parse(data)));
+  ws.sendMessage = (type, payload) => ws.send(JSON.stringify({ type, payload }));
+  return ws;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  let value;
+  while (!(value = condition())) {
+    if (Date.now() > until) throw new Error('timed out');
+    await sleep(10);
+  }
+  return value;
+}
+
+// Payload of the first message of this type the client has received
+async function next(ws, type) {
+  const msg = await waitFor(() => ws.messages.find(m => m.type === type));
+  return msg.payload;
+}
+
+// A client in its own private room; resolves with its session and room entry
+async function playerInRoom() {
+  const ws = connect();
+  const { playerId, resumeToken } = await next(ws, 'connected');
+  ws.sendMessage('room:create', { name: 'p' });
+  const { roomId } = await next(ws, 'joined');
+  const room = state.rooms[roomId];
+  return { ws, playerId, resumeToken, room, entry: room.players[playerId] };
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  server = startServer(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  port = server.address().port;
+});
+
+afterAll(async () => {
+  for (const ws of sockets) ws.terminate();
+  await waitFor(() => Object.keys(state.rooms).length === 0, 5000);
+  await new Promise(resolve => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+describe('sessions', () => {
+  test('resume inside the grace period rebinds the same player', async () => {
+    const { ws, playerId, resumeToken, room, entry } = await playerInRoom();
+    ws.close();
+    await waitFor(() => entry.socket === null);
+
+    const again = connect();
+    await next(again, 'connected');
+    again.sendMessage('resume', { token: resumeToken });
+    const resumed = await next(again, 'resumed');
+
+    expect(resumed).toMatchObject({ playerId, roomId: room.id });
+    expect(resumed.resumeToken).not.toBe(resumeToken);
+    expect(room.players[playerId]).toBe(entry);
+    expect(entry.socket).not.toBeNull();
+    expect(entry.disconnectedAt).toBeNull();
+    again.close();
+  });
+
+  test('resume after the grace period fails', async () => {
+    const { ws, playerId, resumeToken, room } = await playerInRoom();
+    ws.close();
+    await waitFor(() => !room.players[playerId]);
+
+    const again = connect();
+    await next(again, 'connected');
+    again.sendMessage('resume', { token: resumeToken });
+    expect(await next(again, 'error')).toMatchObject({ code: 'RESUME_FAILED', ref: 'resume' });
+    expect(state.rooms[room.id]).toBeUndefined();
+    again.close();
+  });
+
+  test('a half-open socket is replaced without leaving the room', async () => {
+    const { ws, playerId, resumeToken, room, entry } = await playerInRoom();
+    const closed = new Promise(resolve => ws.once('close', resolve));
+
+    const again = connect();
+    await next(again, 'connected');
+    again.sendMessage('resume', { token: resumeToken });
+    await next(again, 'resumed');
+    await closed;
+    // Past the grace period, so a held slot would have been given up by now
+    await sleep(400);
+
+    expect(state.rooms[room.id]).toBe(room);
+    expect(room.players[playerId]).toBe(entry);
+    expect(entry.disconnectedAt).toBeNull();
+    again.close();
+  });
+
+  test('a replaced spectator socket gives up its spectator slot', async () => {
+    const { ws: host, room } = await playerInRoom();
+    const watcher = connect();
+    const { playerId, resumeToken } = await next(watcher, 'connected');
+    watcher.sendMessage('spectate', { roomId: room.id });
+    await next(watcher, 'spectating');
+    expect(room.spectators[playerId]).toBeDefined();
+
+    const again = connect();
+    await next(again, 'connected');
+    again.sendMessage('resume', { token: resumeToken });
+    expect(await next(again, 'resumed')).toMatchObject({ playerId, roomId: null });
+    expect(room.spectators[playerId]).toBeUndefined();
+    again.close();
+    host.close();
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  MAX_SNAPSHOT_DIVISOR,
+  SNAPSHOT_VERSION,
+  decodeSnapshot,
+  effectiveSnapshotRate,
+  encodeSnapshot,
+  nextSnapshotDivisor,
+  packQuaternion,
+  snapshotIntervalTicks,
+  unpackQuaternion,
+} from '../snapshot.js';
+
+function expectQuatClose(actual, expected, digits = 2) {
+  // q and -q are the same rotation
+  const dot = actual.reduce((sum, v, i) => sum + v * expected[i], 0);
+  const sign = dot < 0 ? -1 : 1;
+  actual.forEach((v, i) => expect(sign * v).toBeCloseTo(expected[i], digits));
+}
+
+describe('smallest-three quaternions', () => {
+  test('round-trips unit quaternions, including negative largest components', () => {
+    const s = Math.SQRT1_2;
+    const cases = [
+      [0, 0, 0, 1],
+      [0, s, 0, s],
+      [0.5, -0.5, 0.5, -0.5],
+      [0.1, -0.9, 0.3, 0.2],
+    ];
+    for (const q of cases) {
+      const len = Math.hypot(...q);
+      const unit = q.map(v => v / len);
+      expectQuatClose(unpackQuaternion(packQuaternion(unit)), unit);
+    }
+  });
+
+  test('packs into an unsigned 32-bit integer', () => {
+    const packed = packQuaternion([0, 0, 0, -1]);
+    expect(packed).toBeGreaterThanOrEqual(0);
+    expect(packed).toBeLessThan(2 ** 32);
+  });
+});
+
+describe('encodeSnapshot / decodeSnapshot', () => {
+  const state = {
+    a: {
+      pos: [350.25, -12.5, 0.125],
+      rot: [0, 0.7071, 0, 0.7071],
+      velocity: [10, -4, 0.5],
+      angularVelocity: [1.5, 0, -2],
+      lap: 2,
+      progress: 1.75,
+      ack: 4000000123,
+      inputDepth: 3,
+      draft: 0.5,
+    },
+    b: {
+      pos: [-20, 0, 5],
+      rot: [0, 0, 0, 1],
+      velocity: [0, 0, 0],
+      angularVelocity: [0, 0, 0],
+      lap: 0,
+      progress: -0.01,
+    },
+    ghost: {
+      pos: [0, 0, 0], rot: [0, 0, 0, 1], velocity: [0, 0, 0], angularVelocity: [0, 0, 0],
+    },
+  };
+  const indexOf = id => ({ a: 0, b: 3 })[id];
+
+  test('encodes players by index with quantized fields', () => {
+    const buffer = encodeSnapshot(state, indexOf, { tick: 1234, serverTime: 1760000000123 });
+    expect(buffer.byteLength).toBe(24 + 2 * 34 + 1);
+
+    const { version, tick, serverTime, players } = decodeSnapshot(buffer);
+    expect(version).toBe(SNAPSHOT_VERSION);
+    expect(tick).toBe(1234);
+    expect(serverTime).toBe(1760000000123);
+    expect(players.map(p => p.index)).toEqual([0, 3]);
+
+    const [a, b] = players;
+    a.pos.forEach((v, i) => expect(v).toBeCloseTo(state.a.pos[i], 1));
+    a.velocity.forEach((v, i) => expect(v).toBeCloseTo(state.a.velocity[i], 2));
+    a.angularVelocity.forEach((v, i) => expect(v).toBeCloseTo(state.a.angularVelocity[i], 3));
+    expectQuatClose(a.rot, [0, Math.SQRT1_2, 0, Math.SQRT1_2]);
+    expect(a.lap).toBe(2);
+    expect(a.progress).toBeCloseTo(1.75, 5);
+    expect(b.progress).toBeCloseTo(-0.01, 5);
+    expect(a.ack).toBe(4000000123);
+    expect(b.ack).toBe(0);
+    expect(a.inputDepth).toBe(3);
+    expect(a.draft).toBeCloseTo(0.5, 2);
+    expect(b.draft).toBe(0);
+  });
+
+  test('packs item availability one bit per item', () => {
+    const items = [true, false, true, true, false, false, false, false, false, true];
+    const buffer = encodeSnapshot(state, indexOf, { items });
+    expect(buffer.byteLength).toBe(24 + 2 * 34 + 3);
+    expect(decodeSnapshot(buffer).items).toEqual(items);
+    expect(decodeSnapshot(encodeSnapshot(state, indexOf)).items).toEqual([]);
+  });
+
+  test('decodes from a Node Buffer view', () => {
+    const buffer = Buffer.from(encodeSnapshot(state, indexOf));
+    expect(decodeSnapshot(buffer).players).toHaveLength(2);
+  });
+
+  test('rejects unknown versions', () => {
+    const buffer = encodeSnapshot(state, indexOf);
+    new DataView(buffer).setUint8(0, 99);
+    expect(() => decodeSnapshot(buffer)).toThrow('Unsupported snapshot version 99');
+  });
+});
+
+describe('snapshot rate', () => {
+  test('rounds to a whole number of simulation ticks', () => {
+    expect(snapshotIntervalTicks(30)).toBe(2);
+    expect(snapshotIntervalTicks(25)).toBe(2);
+    expect(effectiveSnapshotRate(25)).toBe(30);
+    expect(effectiveSnapshotRate(20)).toBe(20);
+    expect(effectiveSnapshotRate(1)).toBe(1);
+    expect(effectiveSnapshotRate(60)).toBe(60);
+  });
+});
+
+describe('nextSnapshotDivisor', () => {
+  test('backs off under congestion and recovers when healthy', () => {
+    expect(nextSnapshotDivisor(1, { bufferedAmount: 100 * 1024 })).toBe(2);
+    expect(nextSnapshotDivisor(2, { rtt: 500 })).toBe(3);
+    expect(nextSnapshotDivisor(MAX_SNAPSHOT_DIVISOR, { rtt: 500 })).toBe(MAX_SNAPSHOT_DIVISOR);
+    expect(nextSnapshotDivisor(3, { rtt: 200, bufferedAmount: 0 })).toBe(3);
+    expect(nextSnapshotDivisor(3, { rtt: 40, bufferedAmount: 0 })).toBe(2);
+    expect(nextSnapshotDivisor(1, {})).toBe(1);
+  });
+});
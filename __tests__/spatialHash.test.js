@@ -0,0 +1,54 @@
+import { describe, expect, test } from '@jest/globals';
+import { clearSpatialHash, createSpatialHash, insertSpatialHash, querySpatialHash } from '../spatialHash.js';
+
+const point = (x, y, z) => ({ x, y, z });
+
+describe('spatial hash', () => {
+  test('finds items within the radius across cell boundaries', () => {
+    const hash = createSpatialHash({ cellSize: 4 });
+    insertSpatialHash(hash, 'a', point(0, 0, 0));
+    insertSpatialHash(hash, 'b', point(3.9, 0, 0));
+    insertSpatialHash(hash, 'c', point(-2, 1, 0));
+    insertSpatialHash(hash, 'd', point(20, 0, 0));
+
+    const out = [];
+    expect(querySpatialHash(hash, point(0.5, 0, 0), 3.5, out)).toBe(3);
+    expect(out.map(i => hash.items[i]).sort()).toEqual(['a', 'b', 'c']);
+    expect(querySpatialHash(hash, point(19, 0, 0), 0.5, out)).toBe(0);
+    expect(querySpatialHash(hash, point(0, 0, 0), 100, out)).toBe(4);
+  });
+
+  test('grows past its capacity and clears for the next tick', () => {
+    const hash = createSpatialHash({ cellSize: 2, capacity: 2 });
+    for (let i = 0; i < 5; i++) insertSpatialHash(hash, i, point(i, 0, 0));
+    expect(hash.capacity).toBe(8);
+
+    const out = [];
+    querySpatialHash(hash, point(2, 0, 0), 1, out);
+    expect(out.sort()).toEqual([1, 2, 3]);
+
+    clearSpatialHash(hash);
+    expect(querySpatialHash(hash, point(2, 0, 0), 1, out)).toBe(0);
+    expect(insertSpatialHash(hash, 'x', point(2, 0, 0))).toBe(0);
+  });
+
+  test('matches a brute-force search', () => {
+    const hash = createSpatialHash({ cellSize: 5 });
+    const points = [];
+    let seed = 1;
+    const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 60 - 30;
+    for (let i = 0; i < 200; i++) {
+      points.push(point(random(), random(), random()));
+      insertSpatialHash(hash, i, points[i]);
+    }
+
+    const out = [];
+    for (const p of points.slice(0, 20)) {
+      querySpatialHash(hash, p, 6, out);
+      const expected = points
+        .map((q, i) => (Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z) <= 6 ? i : -1))
+        .filter(i => i >= 0);
+      expect([...out].sort((a, b) => a - b)).toEqual(expected);
+    }
+  });
+});
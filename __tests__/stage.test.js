@@ -0,0 +1,39 @@
+import { describe, expect, test } from '@jest/globals';
+import { canonicalize, stageKey } from '../stage.js';
+
+describe('canonicalize', () => {
+  test('sorts keys and rounds float noise', () => {
+    expect(canonicalize({ b: 1, a: [0.1 + 0.2, -0] })).toBe('{"a":[0.3,0],"b":1}');
+    expect(canonicalize({ a: 1, skip: undefined })).toBe('{"a":1}');
+    expect(canonicalize(null)).toBe('null');
+  });
+});
+
+describe('stageKey', () => {
+  const fbmParams = { uFrequency: 1.5, uOctaves: 6, planetSize: 350 };
+  const curvePoints = [[0, 0, 0], [10, 0, 0], [10, 0, 10]];
+
+  test('prefers an explicit stage ID', () => {
+    expect(stageKey({ stageId: '/stages/stage2', fbmParams, curvePoints })).toBe('id:/stages/stage2');
+  });
+
+  test('matches equal stage parameters regardless of key order', () => {
+    const reordered = { planetSize: 350, uOctaves: 6, uFrequency: 1.5 };
+    expect(stageKey({ fbmParams, curvePoints })).toBe(stageKey({ fbmParams: reordered, curvePoints }));
+    expect(stageKey({ fbmParams, curvePoints })).toMatch(/^hash:[0-9a-f]{16}$/);
+  });
+
+  test('separates different terrain or tracks', () => {
+    const base = stageKey({ fbmParams, curvePoints });
+    expect(stageKey({ fbmParams: { ...fbmParams, uOctaves: 5 }, curvePoints })).not.toBe(base);
+    expect(stageKey({ fbmParams, curvePoints: curvePoints.slice(1) })).not.toBe(base);
+  });
+
+  test('separates stages tuned differently', () => {
+    const drafting = { range: 40 };
+    expect(stageKey({ fbmParams, curvePoints, drafting })).not.toBe(stageKey({ fbmParams, curvePoints }));
+    expect(stageKey({ fbmParams, curvePoints, drafting: undefined })).toBe(stageKey({ fbmParams, curvePoints }));
+    expect(stageKey({ stageId: 's', drafting })).toMatch(/^id:s:[0-9a-f]{8}$/);
+    expect(stageKey({ stageId: 's', drafting })).toBe(stageKey({ stageId: 's', drafting: { range: 40 } }));
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  computeResults,
+  computeStandings,
+  createRaceTrace,
+  raceDeadline,
+  recordRaceFront,
+  timeAtProgress,
+} from '../standings.js';
+
+describe('race trace', () => {
+  test('records only forward progress of the front', () => {
+    const trace = createRaceTrace();
+    recordRaceFront(trace, 0.1, 1000);
+    recordRaceFront(trace, 0.05, 1100);
+    recordRaceFront(trace, 0.3, 1200);
+
+    expect(trace.progress).toEqual([0.1, 0.3]);
+    expect(trace.time).toEqual([1000, 1200]);
+  });
+
+  test('timeAtProgress interpolates between samples', () => {
+    const trace = createRaceTrace();
+    recordRaceFront(trace, 0, 1000);
+    recordRaceFront(trace, 1, 2000);
+    recordRaceFront(trace, 2, 4000);
+
+    expect(timeAtProgress(trace, 0.5)).toBe(1500);
+    expect(timeAtProgress(trace, 1.5)).toBe(3000);
+    expect(timeAtProgress(trace, -1)).toBe(1000);
+    expect(timeAtProgress(trace, 2.5)).toBeNull();
+  });
+});
+
+describe('computeStandings', () => {
+  test('ranks finishers by time, then everyone else by progress', () => {
+    const trace = createRaceTrace();
+    recordRaceFront(trace, 0, 0);
+    recordRaceFront(trace, 3, 3000);
+
+    const standings = computeStandings([
+      { id: 'slow', name: 'slow', lap: 1, progress: 1.5 },
+      { id: 'second', name: 'second', lap: 3, progress: 3, finishedAt: 3500 },
+      { id: 'winner', name: 'winner', lap: 3, progress: 3, finishedAt: 3000 },
+      { id: 'mid', name: 'mid', lap: 2, progress: 2.5 },
+    ], trace, 4000);
+
+    expect(standings.map(s => s.id)).toEqual(['winner', 'second', 'mid', 'slow']);
+    expect(standings.map(s => s.position)).toEqual([1, 2, 3, 4]);
+    expect(standings.map(s => s.gap)).toEqual([0, 500, 1500, 2500]);
+    expect(standings[0].finished).toBe(true);
+    expect(standings[2].finished).toBe(false);
+  });
+
+  test('gap is null when the front has no matching sample', () => {
+    const standings = computeStandings([
+      { id: 'a', progress: 0.2 },
+      { id: 'b', progress: 0.1 },
+    ], createRaceTrace(), 1000);
+
+    expect(standings[1].gap).toBeNull();
+  });
+});
+
+describe('computeResults', () => {
+  test('reports race times for finishers and marks everyone else DNF', () => {
+    const trace = createRaceTrace();
+    const players = [
+      { id: 'slow', name: 'S', lap: 1, progress: 1.4 },
+      { id: 'second', name: 'B', lap: 3, progress: 3, finishedAt: 96000 },
+      { id: 'winner', name: 'A', lap: 3, progress: 3, finishedAt: 95000 },
+    ];
+
+    expect(computeResults(players, trace, 5000, 100000)).toEqual([
+      { id: 'winner', name: 'A', position: 1, lap: 3, raceTime: 90000, gap: 0, dnf: false },
+      { id: 'second', name: 'B', position: 2, lap: 3, raceTime: 91000, gap: 1000, dnf: false },
+      { id: 'slow', name: 'S', position: 3, lap: 1, raceTime: null, gap: null, dnf: true },
+    ]);
+  });
+});
+
+describe('raceDeadline', () => {
+  test('cuts the race off at the time limit or the end of the finish window', () => {
+    const limits = { raceStartAt: 1000, timeLimitMs: 600000, finishWindowMs: 30000 };
+    expect(raceDeadline(limits)).toEqual({ endsAt: 601000, reason: 'timeLimit' });
+    expect(raceDeadline({ ...limits, firstFinishAt: 90000 })).toEqual({ endsAt: 120000, reason: 'finishWindow' });
+    expect(raceDeadline({ ...limits, firstFinishAt: 590000 })).toEqual({ endsAt: 601000, reason: 'timeLimit' });
+    expect(raceDeadline({ ...limits, firstFinishAt: 90000, finishWindowMs: 0 }).reason).toBe('timeLimit');
+    expect(raceDeadline({ raceStartAt: 1000 })).toBeNull();
+  });
+});
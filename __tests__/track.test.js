@@ -0,0 +1,153 @@
+import { describe, expect, test } from '@jest/globals';
+import { Vector3 } from '../math.js';
+import {
+  buildCheckpoints,
+  buildStartGrid,
+  buildTrack,
+  crossesGate,
+  projectOntoTrack,
+  sampleTrack,
+  trackPose,
+} from '../track.js';
+
+const square = [
+  [0, 0, 0],
+  [10, 0, 0],
+  [10, 0, 10],
+  [0, 0, 10],
+];
+
+describe('buildTrack', () => {
+  test('detects loops and measures arc length', () => {
+    const loop = buildTrack(square);
+    expect(loop.closed).toBe(true);
+    expect(loop.segments).toBe(4);
+    expect(loop.length).toBeCloseTo(40);
+
+    const repeated = buildTrack([...square, [0, 0, 0]]);
+    expect(repeated.closed).toBe(true);
+    expect(repeated.segments).toBe(4);
+    expect(repeated.length).toBeCloseTo(40);
+  });
+
+  test('treats distant endpoints as an open track', () => {
+    const open = buildTrack([[0, 0, 0], [10, 0, 0], [20, 0, 0]]);
+    expect(open.closed).toBe(false);
+    expect(open.length).toBeCloseTo(20);
+  });
+
+  test('returns null for degenerate input', () => {
+    expect(buildTrack(null)).toBeNull();
+    expect(buildTrack([[0, 0, 0]])).toBeNull();
+  });
+});
+
+describe('sampleTrack', () => {
+  test('interpolates by arc length and wraps on loops', () => {
+    const loop = buildTrack(square);
+    const tangent = new Vector3();
+
+    const p = sampleTrack(loop, 0.375, new Vector3(), tangent);
+    expect(p).toEqual({ x: 10, y: 0, z: 5 });
+    expect(tangent).toEqual({ x: 0, y: 0, z: 1 });
+
+    expect(sampleTrack(loop, 1.125)).toEqual({ x: 5, y: 0, z: 0 });
+  });
+
+  test('clamps on open tracks', () => {
+    const open = buildTrack([[0, 0, 0], [10, 0, 0], [20, 0, 0]]);
+    expect(sampleTrack(open, 2)).toEqual({ x: 20, y: 0, z: 0 });
+    expect(sampleTrack(open, -1)).toEqual({ x: 0, y: 0, z: 0 });
+  });
+
+  test('trackPose faces along the track with a radial up', () => {
+    const circle = [];
+    for (let i = 0; i < 64; i++) {
+      const a = (i / 64) * Math.PI * 2;
+      circle.push([Math.cos(a) * 100, 0, Math.sin(a) * 100]);
+    }
+    const { position, forward, up } = trackPose(buildTrack(circle), 0.25);
+
+    expect(position.x).toBeCloseTo(0);
+    expect(position.z).toBeCloseTo(100);
+    expect(forward.x).toBeCloseTo(-1, 1);
+    expect(up.z).toBeCloseTo(1, 1);
+    expect(forward.dot(up)).toBeCloseTo(0);
+  });
+});
+
+describe('checkpoints', () => {
+  test('places evenly spaced gates, with a finish gate on open tracks', () => {
+    const loopGates = buildCheckpoints(buildTrack(square), 4, 3);
+    expect(loopGates.map(g => g.t)).toEqual([0, 0.25, 0.5, 0.75]);
+    expect(loopGates[1].position).toEqual({ x: 10, y: 0, z: 0 });
+
+    const openGates = buildCheckpoints(buildTrack([[0, 0, 0], [20, 0, 0]]), 3, 3);
+    expect(openGates.map(g => g.t)).toEqual([0, 0.5, 1]);
+    expect(openGates[2].position).toEqual({ x: 20, y: 0, z: 0 });
+  });
+
+  test('crossesGate requires a forward pass through the gate disc', () => {
+    const [gate] = buildCheckpoints(buildTrack(square), 4, 3);
+    const behind = new Vector3(-1, 0, 1);
+    const ahead = new Vector3(1, 0, 1);
+
+    expect(crossesGate(gate, behind, ahead)).toBe(true);
+    expect(crossesGate(gate, ahead, behind)).toBe(false);
+    expect(crossesGate(gate, new Vector3(-1, 0, 5), new Vector3(1, 0, 5))).toBe(false);
+    expect(crossesGate(gate, behind, new Vector3(-0.5, 0, 1))).toBe(false);
+  });
+});
+
+describe('projectOntoTrack', () => {
+  test('finds the closest point and its curve parameter', () => {
+    const loop = buildTrack(square);
+    const out = projectOntoTrack(loop, new Vector3(12, 1, 5), {});
+
+    expect(out.segment).toBe(1);
+    expect(out.t).toBeCloseTo(0.375);
+    expect(out.distance).toBeCloseTo(Math.hypot(2, 1));
+  });
+
+  test('windowed search wraps around the loop', () => {
+    const loop = buildTrack(square);
+    const out = projectOntoTrack(loop, new Vector3(0, 0, 9), {}, 0, 1);
+
+    expect(out.segment).toBe(3);
+    expect(out.t).toBeCloseTo(0.775);
+  });
+});
+
+describe('buildStartGrid', () => {
+  test('staggers two lanes behind the start of an open track', () => {
+    const grid = buildStartGrid(buildTrack([[0, 0, 0], [20, 0, 0]]), 3);
+    const positions = grid.map(slot => [slot.position.x, slot.position.y, slot.position.z]);
+
+    expect(positions[0]).toEqual([-4, 0, -3]);
+    expect(positions[1]).toEqual([-8, 0, 3]);
+    expect(positions[2]).toEqual([-12, 0, -3]);
+    expect(grid[0].forward).toEqual({ x: 1, y: 0, z: 0 });
+    expect(grid[0].up).toEqual({ x: 0, y: 1, z: 0 });
+  });
+
+  test('offsets lanes along the surface of a loop on a planet', () => {
+    const circle = [];
+    for (let i = 0; i < 64; i++) {
+      const a = (i / 64) * Math.PI * 2;
+      circle.push([Math.cos(a) * 100, 0, Math.sin(a) * 100]);
+    }
+    const loop = buildTrack(circle);
+    const [pole, second] = buildStartGrid(loop, 2);
+
+    // Radial up on the equator puts the lanes north and south of the track
+    expect(pole.up.x).toBeCloseTo(1, 1);
+    expect(pole.position.y).toBeCloseTo(-3);
+    expect(second.position.y).toBeCloseTo(3);
+
+    const out = {};
+    projectOntoTrack(loop, pole.position, out);
+    expect(out.t * loop.length).toBeCloseTo(loop.length - 4, 0);
+    projectOntoTrack(loop, second.position, out);
+    expect(out.t * loop.length).toBeCloseTo(loop.length - 8, 0);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, test } from '@jest/globals';
+import { tallyVotes } from '../votes.js';
+
+const moon = { choice: 'stage', stage: { stageId: 'moon' }, stageKey: 'id:moon' };
+const ice = { choice: 'stage', stage: { stageId: 'ice' }, stageKey: 'id:ice' };
+const rematch = { choice: 'rematch' };
+
+describe('tallyVotes', () => {
+  test('waits until a majority, everyone has voted, or voting closes', () => {
+    const voters = ['a', 'b', 'c', 'd'];
+    expect(tallyVotes({ a: moon, b: moon }, voters).outcome).toBeNull();
+    expect(tallyVotes({ a: moon, b: moon, c: moon }, voters).outcome).toMatchObject({ choice: 'stage', votes: 3 });
+    expect(tallyVotes({ a: moon, b: moon }, voters, { final: true }).outcome)
+      .toMatchObject({ choice: 'stage', stage: { stageId: 'moon' } });
+  });
+
+  test('ties go to the rematch, then to the first stage proposed', () => {
+    expect(tallyVotes({ a: moon, b: rematch }, ['a', 'b']).outcome.choice).toBe('rematch');
+    expect(tallyVotes({ a: ice, b: moon }, ['a', 'b']).outcome.stage).toEqual({ stageId: 'ice' });
+    expect(tallyVotes({}, ['a'], { final: true }).outcome.choice).toBe('rematch');
+  });
+
+  test('ignores votes from players who left', () => {
+    const tally = tallyVotes({ a: moon, gone: moon, b: rematch }, ['a', 'b']);
+    expect(tally.cast).toBe(2);
+    expect(tally.options.map(o => o.votes)).toEqual([1, 1]);
+    expect(tally.outcome.choice).toBe('rematch');
+  });
+});
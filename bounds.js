@@ -0,0 +1,38 @@
+// =================================================================================
+// #region OUT OF BOUNDS
+// =================================================================================
+// A ship is out of bounds while it is more than `radius` from the track centreline.
+// Time outside accumulates over the race. Once a single excursion lasts
+// `thresholdSeconds` the penalty kicks in: 'slow' caps the ship's speed at
+// speedFactor × its top speed until it is back inside, 'reset' puts it back on
+// the track.
+export const OUT_OF_BOUNDS_DEFAULTS = { radius: 40, thresholdSeconds: 3, action: 'reset', speedFactor: 0.5 };
+
+export function createBoundsState() {
+  return { outside: false, excursion: 0, total: 0, penalized: false };
+}
+
+// Advance by dt seconds at `distance` from the track. Returns the transition
+// this step caused — 'exit', 'penalty' or 'return' — or null.
+export function updateBounds(bounds, distance, dt, { radius, thresholdSeconds }) {
+  if (distance <= radius) {
+    if (!bounds.outside) return null;
+    bounds.outside = false;
+    bounds.excursion = 0;
+    bounds.penalized = false;
+    return 'return';
+  }
+
+  bounds.total += dt;
+  bounds.excursion += dt;
+  if (!bounds.outside) {
+    bounds.outside = true;
+    return 'exit';
+  }
+  if (!bounds.penalized && bounds.excursion >= thresholdSeconds) {
+    bounds.penalized = true;
+    return 'penalty';
+  }
+  return null;
+}
+// #endregion
@@ -0,0 +1,124 @@
+import { Vector3 } from './math.js';
+
+// =================================================================================
+// #region SHIP COLLISIONS
+// =================================================================================
+// Ships collide as capsules fitted to the same box as the terrain check: the
+// capsule runs along the ship's long (local z) axis, with the larger of the other
+// two half-extents as its radius. Everything writes into caller-owned objects;
+// nothing here allocates.
+const EPSILON = 1e-9;
+
+export function capsuleFromBox(halfExtents) {
+  const radius = Math.max(halfExtents.x, halfExtents.y);
+  return { radius, halfLength: Math.max(0, halfExtents.z - radius) };
+}
+
+const _d1 = new Vector3();
+const _d2 = new Vector3();
+const _r = new Vector3();
+const _a0 = new Vector3();
+const _a1 = new Vector3();
+const _b0 = new Vector3();
+const _b1 = new Vector3();
+const _onA = new Vector3();
+const _onB = new Vector3();
+
+const clamp01 = v => Math.min(Math.max(v, 0), 1);
+
+// Closest points between segments p1-q1 and p2-q2, written to outA / outB
+// (Ericson, Real-Time Collision Detection, 5.1.9)
+export function closestPointsOnSegments(p1, q1, p2, q2, outA, outB) {
+  _d1.copy(q1).sub(p1);
+  _d2.copy(q2).sub(p2);
+  _r.copy(p1).sub(p2);
+  const a = _d1.dot(_d1);
+  const e = _d2.dot(_d2);
+  const f = _d2.dot(_r);
+
+  let s = 0;
+  let t = 0;
+  if (a <= EPSILON && e > EPSILON) {
+    t = clamp01(f / e);
+  } else if (a > EPSILON) {
+    const c = _d1.dot(_r);
+    if (e <= EPSILON) {
+      s = clamp01(-c / a);
+    } else {
+      const b = _d1.dot(_d2);
+      const denom = a * e - b * b;
+      s = denom > EPSILON ? clamp01((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+      }
+    }
+  }
+
+  outA.copy(_d1).multiplyScalar(s).add(p1);
+  outB.copy(_d2).multiplyScalar(t).add(p2);
+}
+
+// Capsules are { center, axis (unit), halfLength, radius }. On overlap writes the
+// contact normal (pointing from a to b) and penetration depth into out.
+export function collideCapsules(a, b, out) {
+  _a0.copy(a.axis).multiplyScalar(-a.halfLength).add(a.center);
+  _a1.copy(a.axis).multiplyScalar(a.halfLength).add(a.center);
+  _b0.copy(b.axis).multiplyScalar(-b.halfLength).add(b.center);
+  _b1.copy(b.axis).multiplyScalar(b.halfLength).add(b.center);
+  closestPointsOnSegments(_a0, _a1, _b0, _b1, _onA, _onB);
+
+  const reach = a.radius + b.radius;
+  out.normal.copy(_onB).sub(_onA);
+  let distance = out.normal.length();
+  if (distance >= reach) return false;
+
+  if (distance > EPSILON) {
+    out.normal.multiplyScalar(1 / distance);
+  } else {
+    // Axes intersect: fall back to the line between centres, then to world up
+    out.normal.copy(b.center).sub(a.center);
+    distance = 0;
+    if (out.normal.length() > EPSILON) out.normal.normalize();
+    else out.normal.set(0, 1, 0);
+  }
+  out.depth = reach - distance;
+  return true;
+}
+
+// Bodies are { pos, velocity, mass }. Separates them along normal (from a to b)
+// in proportion to inverse mass, then applies an impulse with the given
+// restitution if they are closing. Returns the closing speed along the normal,
+// 0 when they were already moving apart.
+export function resolveCollision(a, b, normal, depth, restitution) {
+  const invA = 1 / a.mass;
+  const invB = 1 / b.mass;
+  const invSum = invA + invB;
+
+  a.pos.x -= normal.x * depth * (invA / invSum);
+  a.pos.y -= normal.y * depth * (invA / invSum);
+  a.pos.z -= normal.z * depth * (invA / invSum);
+  b.pos.x += normal.x * depth * (invB / invSum);
+  b.pos.y += normal.y * depth * (invB / invSum);
+  b.pos.z += normal.z * depth * (invB / invSum);
+
+  const closing =
+    (a.velocity.x - b.velocity.x) * normal.x +
+    (a.velocity.y - b.velocity.y) * normal.y +
+    (a.velocity.z - b.velocity.z) * normal.z;
+  if (closing <= 0) return 0;
+
+  const j = ((1 + restitution) * closing) / invSum;
+  a.velocity.x -= normal.x * j * invA;
+  a.velocity.y -= normal.y * j * invA;
+  a.velocity.z -= normal.z * j * invA;
+  b.velocity.x += normal.x * j * invB;
+  b.velocity.y += normal.y * j * invB;
+  b.velocity.z += normal.z * j * invB;
+  return closing;
+}
+// #endregion
@@ -0,0 +1,46 @@
+// =================================================================================
+// #region DRAFTING
+// =================================================================================
+// A ship drafts while it sits in the cone behind another ship. That means within
+// `range` of it, within `angle` degrees of straight behind it, and with its own
+// nose within `angle` of the leader's direction of travel. A leader below
+// MIN_WAKE_RATIO of its own top speed leaves no slipstream. Draft builds up over
+// buildSeconds and fades over fadeSeconds. At full draft the ship's top speed and acceleration are
+// multiplied by 1 + speedBonus.
+export const DRAFTING_DEFAULTS = { range: 30, angle: 12, speedBonus: 0.2, buildSeconds: 1, fadeSeconds: 0.5 };
+
+const MIN_WAKE_RATIO = 0.25;
+
+// Writes the leader's unit direction of travel into out; false when it is too slow
+// for its top speed (playerSpeed)
+export function wakeDirection(velocity, playerSpeed, out) {
+  const speed = velocity.length();
+  if (speed === 0 || speed < playerSpeed * MIN_WAKE_RATIO) return false;
+  out.copy(velocity).multiplyScalar(1 / speed);
+  return true;
+}
+
+// follower/leader positions are { x, y, z }; followerForward and leaderDirection are unit
+export function inSlipstream(followerPos, followerForward, leaderPos, leaderDirection, { range, angle }) {
+  const dx = followerPos.x - leaderPos.x;
+  const dy = followerPos.y - leaderPos.y;
+  const dz = followerPos.z - leaderPos.z;
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (distance === 0 || distance > range) return false;
+
+  const cosAngle = Math.cos((angle * Math.PI) / 180);
+  const behind = -(dx * leaderDirection.x + dy * leaderDirection.y + dz * leaderDirection.z);
+  if (behind < distance * cosAngle) return false;
+  return followerForward.dot(leaderDirection) >= cosAngle;
+}
+
+// Draft level in [0, 1] after dt seconds in (or out of) a slipstream
+export function updateDraftLevel(level, drafting, dt, { buildSeconds, fadeSeconds }) {
+  if (drafting) return Math.min(1, level + dt / buildSeconds);
+  return Math.max(0, level - dt / fadeSeconds);
+}
+
+export function draftMultiplier(level, { speedBonus }) {
+  return 1 + speedBonus * level;
+}
+// #endregion
@@ -0,0 +1,72 @@
+// =================================================================================
+// #region INPUT BUFFER
+// =================================================================================
+// Per-player queue of inputs keyed by the simulation tick they apply on. Inputs are
+// held for `delayTicks` after their stamp (the client's `tick`, or the arrival tick
+// when unstamped), so arrival jitter up to that delay does not reach the ship.
+// Ticks with nothing due keep the last applied input. Inputs that are more than
+// `staleTicks` late are dropped; late ones inside that window apply immediately.
+export const DEFAULT_INPUT_DELAY_TICKS = 2;
+export const DEFAULT_INPUT_STALE_TICKS = 30;
+const MAX_LEAD_TICKS = 120;
+const CAPACITY = 64;
+
+export function createInputBuffer({
+  delayTicks = DEFAULT_INPUT_DELAY_TICKS,
+  staleTicks = DEFAULT_INPUT_STALE_TICKS,
+} = {}) {
+  return { delayTicks, staleTicks, entries: [], lastSeq: 0, dropped: 0 };
+}
+
+// input: { seq?, tick?, ... }; nextTick is the next step the simulation will run.
+// Returns false when the input was dropped (out of order or stale).
+export function pushInput(buffer, input, nextTick) {
+  if (input.seq !== undefined) {
+    if (input.seq <= buffer.lastSeq) {
+      buffer.dropped++;
+      return false;
+    }
+    buffer.lastSeq = input.seq;
+  }
+
+  let target = (input.tick ?? nextTick) + buffer.delayTicks;
+  if (target < nextTick) {
+    if (nextTick - target > buffer.staleTicks) {
+      buffer.dropped++;
+      return false;
+    }
+    target = nextTick;
+  }
+  target = Math.min(target, nextTick + MAX_LEAD_TICKS);
+
+  // Keep entries ordered by tick; equal ticks stay in arrival order
+  const { entries } = buffer;
+  let i = entries.length;
+  while (i > 0 && entries[i - 1].tick > target) i--;
+  entries.splice(i, 0, { ...input, tick: target });
+
+  if (entries.length > CAPACITY) {
+    entries.shift();
+    buffer.dropped++;
+  }
+  return true;
+}
+
+// A resumed client numbers its inputs from 1 again; whatever the previous
+// connection left queued is dropped with it
+export function restartInputSeq(buffer) {
+  buffer.lastSeq = 0;
+  buffer.entries.length = 0;
+}
+
+// Next input due on or before `tick`, removed from the buffer, or null
+export function takeInput(buffer, tick) {
+  const { entries } = buffer;
+  if (entries.length === 0 || entries[0].tick > tick) return null;
+  return entries.shift();
+}
+
+export function inputBufferDepth(buffer) {
+  return buffer.entries.length;
+}
+// #endregion
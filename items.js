@@ -0,0 +1,80 @@
+import { trackPose } from './track.js';
+
+// =================================================================================
+// #region ITEM LAYOUT
+// =================================================================================
+// Items sit at curve parameters along the track, optionally offset sideways
+// (lane, in units to the right of the centreline). A ship collects one when its
+// centre comes within the item's radius. It then respawns after respawnSeconds.
+export const ITEM_KINDS = {
+  boostPad: { radius: 4, respawnSeconds: 1 },
+  itemBox: { radius: 2.5, respawnSeconds: 5 },
+};
+
+export const DEFAULT_ITEM_LAYOUT = [
+  { kind: 'boostPad', t: 0.125 },
+  { kind: 'itemBox', t: 0.25, lane: -6 },
+  { kind: 'itemBox', t: 0.25, lane: 0 },
+  { kind: 'itemBox', t: 0.25, lane: 6 },
+  { kind: 'boostPad', t: 0.375 },
+  { kind: 'boostPad', t: 0.625 },
+  { kind: 'itemBox', t: 0.75, lane: -6 },
+  { kind: 'itemBox', t: 0.75, lane: 0 },
+  { kind: 'itemBox', t: 0.75, lane: 6 },
+  { kind: 'boostPad', t: 0.875 },
+];
+
+// Plain JSON items ({ id, kind, position: [x, y, z], radius, respawnSeconds }) for
+// the worker's init and for clients; ids are indices into the list
+export function placeItems(track, layout = DEFAULT_ITEM_LAYOUT) {
+  if (!track) return [];
+  return layout.map(({ kind, t, lane = 0 }, id) => {
+    const { position, forward, up } = trackPose(track, t);
+    if (lane !== 0) {
+      // right = forward x up
+      position.x += (forward.y * up.z - forward.z * up.y) * lane;
+      position.y += (forward.z * up.x - forward.x * up.z) * lane;
+      position.z += (forward.x * up.y - forward.y * up.x) * lane;
+    }
+    return { id, kind, position: [position.x, position.y, position.z], ...ITEM_KINDS[kind] };
+  });
+}
+// #endregion
+
+// =================================================================================
+// #region EFFECTS
+// =================================================================================
+// Effects last a number of simulation ticks. boost multiplies a ship's top speed
+// and acceleration; shield makes it immovable in ship-to-ship collisions. Boost
+// pads always boost. An item box gives one effect from BOX_EFFECTS, chosen from
+// the tick and item so that replays reproduce it.
+export const EFFECTS = {
+  boost: { seconds: 2, speedMultiplier: 1.5 },
+  shield: { seconds: 6 },
+};
+const BOX_EFFECTS = ['boost', 'shield'];
+
+export function itemEffect(item, tick) {
+  if (item.kind === 'boostPad') return 'boost';
+  return BOX_EFFECTS[(tick + item.id) % BOX_EFFECTS.length];
+}
+
+// { [effect]: tick it wears off }
+export function createEffects() {
+  return { boost: 0, shield: 0 };
+}
+
+// Start (or restart) an effect; returns the tick it wears off
+export function applyEffect(effects, effect, tick, stepSeconds) {
+  effects[effect] = tick + Math.round(EFFECTS[effect].seconds / stepSeconds);
+  return effects[effect];
+}
+
+export function effectActive(effects, effect, tick) {
+  return effects[effect] > tick;
+}
+
+export function speedMultiplier(effects, tick) {
+  return effectActive(effects, 'boost', tick) ? EFFECTS.boost.speedMultiplier : 1;
+}
+// #endregion
@@ -0,0 +1,27 @@
+// =================================================================================
+// #region LIVENESS
+// =================================================================================
+// Decisions behind the server's liveness sweep. Sockets carry lastPingAt,
+// lastPongAt and rtt (ms); room players carry lastInputAt. Times are Date.now()
+// values passed in by the caller.
+
+// Stamp a pong and measure the round trip from the latest ping
+export function recordPong(conn, now) {
+  conn.lastPongAt = now;
+  if (conn.lastPingAt) conn.rtt = now - conn.lastPingAt;
+}
+
+// A socket that has not answered a ping for longer than timeoutMs is dead
+export function heartbeatExpired(conn, now, timeoutMs) {
+  return now - conn.lastPongAt > timeoutMs;
+}
+
+// Racers who have sent no input for longer than timeoutMs (0 disables the check).
+// Disconnected players are held for resume instead, and finishers have nothing
+// left to send.
+export function idlePlayers(room, now, timeoutMs) {
+  if (timeoutMs <= 0 || room.phase !== 'racing') return [];
+  return Object.values(room.players)
+    .filter(p => p.socket && !p.finishedAt && now - p.lastInputAt > timeoutMs);
+}
+// #endregion
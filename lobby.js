@@ -0,0 +1,50 @@
+// =================================================================================
+// #region LOBBY POLICY
+// =================================================================================
+// Decides when a lobby starts its pregame countdown. A room starts when
+//   - it is full (startWhenFull),
+//   - every player is ready and at least minPlayers are present, or
+//   - maxWaitMs has passed since the lobby opened (0 disables the limit).
+export const DEFAULT_LOBBY_POLICY = {
+  minPlayers: 1,
+  maxPlayers: 8,
+  maxWaitMs: 0,
+  startWhenFull: true,
+  countdownSeconds: 10,
+};
+
+export function createLobbyPolicy(overrides = {}) {
+  const policy = { ...DEFAULT_LOBBY_POLICY };
+  for (const key of Object.keys(DEFAULT_LOBBY_POLICY)) {
+    if (overrides[key] !== undefined) policy[key] = overrides[key];
+  }
+  policy.minPlayers = Math.min(Math.max(1, policy.minPlayers), policy.maxPlayers);
+  return policy;
+}
+
+// Returns why the room should be counting down (startReason, or null) and, when
+// it should not, what it is waiting for ('players' or 'ready')
+export function evaluateLobby({ playerCount, readyCount, openedAt, now }, policy) {
+  const deadline = policy.maxWaitMs > 0 && openedAt != null ? openedAt + policy.maxWaitMs : null;
+
+  let startReason = null;
+  if (playerCount > 0) {
+    if (policy.startWhenFull && playerCount >= policy.maxPlayers) startReason = 'full';
+    else if (playerCount >= policy.minPlayers && readyCount >= playerCount) startReason = 'allReady';
+    else if (deadline !== null && now >= deadline) startReason = 'timeout';
+  }
+
+  let waitingFor = null;
+  if (!startReason) waitingFor = playerCount < policy.minPlayers ? 'players' : 'ready';
+
+  return {
+    startReason,
+    waitingFor,
+    playerCount,
+    readyCount,
+    minPlayers: policy.minPlayers,
+    maxPlayers: policy.maxPlayers,
+    deadline,
+  };
+}
+// #endregion
@@ -0,0 +1,71 @@
+// =================================================================================
+// #region REPLAY FORMAT
+// =================================================================================
+// A replay is NDJSON recorded by the physics worker (see REPLAY in
+// workers/PhysicsWorker.js). The first line is a header, then one line per event:
+//   { type: 'header', version, recordedAt, init }    init = the worker's init message
+//   { type: 'message', tick, message }               addPlayer/removePlayer/config/...
+//                                                     handled after step `tick`
+//   { type: 'input', tick, playerId, seq, throttle, inputAxis }
+//                                                     applied at the start of step `tick`
+//   { type: 'check', tick, positions: { [playerId]: [x, y, z] } }
+//                                                     positions after step `tick`
+export const REPLAY_VERSION = 1;
+export const REPLAY_CHECK_TICKS = 60;
+
+export function parseReplay(text) {
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
+  if (lines.length === 0) throw new Error('Empty replay');
+
+  const header = JSON.parse(lines[0]);
+  if (header.type !== 'header') throw new Error('Replay is missing its header line');
+  if (header.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${header.version}`);
+
+  return { header, events: lines.slice(1).map(line => JSON.parse(line)) };
+}
+// #endregion
+
+// =================================================================================
+// #region RE-SIMULATION
+// =================================================================================
+// sim is the worker's simulation API: { handleMessage, updatePhysics, currentTick,
+// playerPositions }. Inputs are replayed with no buffering delay, straight onto the
+// step they were applied on when recorded.
+export function resimulate({ header, events }, sim, { tolerance = 1e-6 } = {}) {
+  sim.handleMessage({ ...header.init, type: 'init', record: false, inputDelayTicks: 0 });
+
+  const runUntil = target => {
+    while (sim.currentTick() < target) sim.updatePhysics();
+  };
+
+  const mismatches = [];
+  let checks = 0;
+  for (const event of events) {
+    if (event.type === 'input') {
+      runUntil(event.tick - 1);
+      const { playerId, seq, throttle, inputAxis } = event;
+      sim.handleMessage({ type: 'input', playerId, seq, tick: event.tick, throttle, inputAxis });
+    } else if (event.type === 'message') {
+      runUntil(event.tick);
+      sim.handleMessage(event.message);
+    } else if (event.type === 'check') {
+      runUntil(event.tick);
+      checks++;
+      mismatches.push(...comparePositions(event.tick, event.positions, sim.playerPositions(), tolerance));
+    }
+  }
+
+  return { ticks: sim.currentTick(), checks, mismatches };
+}
+
+export function comparePositions(tick, expected, actual, tolerance = 1e-6) {
+  const mismatches = [];
+  for (const playerId of Object.keys(expected)) {
+    const want = expected[playerId];
+    const got = actual[playerId];
+    const error = got ? Math.hypot(got[0] - want[0], got[1] - want[1], got[2] - want[2]) : Infinity;
+    if (!(error <= tolerance)) mismatches.push({ tick, playerId, expected: want, actual: got ?? null, error });
+  }
+  return mismatches;
+}
+// #endregion
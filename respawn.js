@@ -0,0 +1,38 @@
+// =================================================================================
+// #region RESPAWN
+// =================================================================================
+// A respawn puts a ship back on the last checkpoint gate it passed (or its grid
+// slot before the first one). The ship is then held for penaltySeconds, and it
+// is invulnerable for invulnerableSeconds after that. A ship counts as stuck
+// once it has been under throttle for stuckSeconds while covering less than
+// stuckSpeedRatio of its top speed; stuckSeconds 0 turns the detector off.
+export const RESPAWN_DEFAULTS = {
+  penaltySeconds: 2,
+  invulnerableSeconds: 2,
+  stuckSeconds: 3,
+  stuckSpeedRatio: 0.05,
+};
+
+export function createStuckTimer() {
+  return { time: 0 };
+}
+
+// Advance by dt seconds. speedRatio is the speed the ship actually made good over
+// the step divided by its top speed. True when it has just been stuck long enough.
+export function updateStuckTimer(timer, speedRatio, throttle, dt, { stuckSeconds, stuckSpeedRatio }) {
+  if (!(stuckSeconds > 0) || throttle <= 0 || speedRatio >= stuckSpeedRatio) {
+    timer.time = 0;
+    return false;
+  }
+  timer.time += dt;
+  if (timer.time < stuckSeconds) return false;
+  timer.time = 0;
+  return true;
+}
+
+// Index of the last gate passed given the next one due, or -1 before the start
+export function lastPassedGate(nextCheckpoint, gateCount, { closed, started }) {
+  if (nextCheckpoint > 0) return nextCheckpoint - 1;
+  return closed && started ? gateCount - 1 : -1;
+}
+// #endregion
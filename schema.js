@@ -0,0 +1,271 @@
+// =================================================================================
+// #region VALIDATOR
+// =================================================================================
+// Minimal declarative validator for client payloads. A schema is one of
+//   { type: 'string', minLength, maxLength, enum }
+//   { type: 'number', min, max, integer }
+//   { type: 'boolean' }
+//   { type: 'array', minItems, maxItems, items }
+//   { type: 'object', properties, required, additional }
+// plus `optional: true` to also accept null. Missing object properties are fine
+// unless listed in `required`. Objects reject unknown keys unless `additional` is
+// true, 'strip' (unknown keys are deleted from the value) or a schema every extra
+// value must match.
+
+function describe(schema) {
+  if (schema.type === 'number') {
+    const kind = schema.integer ? 'an integer' : 'a number';
+    if (schema.min !== undefined && schema.max !== undefined) return `${kind} between ${schema.min} and ${schema.max}`;
+    if (schema.min !== undefined) return `${kind} >= ${schema.min}`;
+    if (schema.max !== undefined) return `${kind} <= ${schema.max}`;
+    return kind;
+  }
+  if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+  if (schema.type === 'array' || schema.type === 'object') return `an ${schema.type}`;
+  return `a ${schema.type}`;
+}
+
+// Returns null when valid, otherwise a message naming the first offending path
+export function validate(schema, value, path = 'payload') {
+  if (value === undefined || value === null) {
+    if (schema.optional) return null;
+    return value === undefined ? `${path} is required` : `${path} must be ${describe(schema)}`;
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string') return `${path} must be ${describe(schema)}`;
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return `${path} must be at least ${schema.minLength} characters`;
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) return `${path} must be ${describe(schema)}`;
+      return null;
+    }
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be ${describe(schema)}`;
+      if (schema.integer && !Number.isInteger(value)) return `${path} must be ${describe(schema)}`;
+      if (schema.min !== undefined && value < schema.min) return `${path} must be ${describe(schema)}`;
+      if (schema.max !== undefined && value > schema.max) return `${path} must be ${describe(schema)}`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be ${describe(schema)}`;
+    case 'array': {
+      if (!Array.isArray(value)) return `${path} must be ${describe(schema)}`;
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return `${path} must have at least ${schema.minItems} items`;
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return `${path} must have at most ${schema.maxItems} items`;
+      }
+      if (schema.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = validate(schema.items, value[i], `${path}[${i}]`);
+          if (error) return error;
+        }
+      }
+      return null;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be ${describe(schema)}`;
+      const properties = schema.properties || {};
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) return `${path}.${key} is required`;
+      }
+      for (const key of Object.keys(value)) {
+        if (value[key] === undefined) continue;
+        const propSchema = properties[key];
+        if (propSchema) {
+          const error = validate(propSchema, value[key], `${path}.${key}`);
+          if (error) return error;
+        } else if (schema.additional === true) {
+          continue;
+        } else if (schema.additional === 'strip') {
+          delete value[key];
+        } else if (schema.additional) {
+          const error = validate(schema.additional, value[key], `${path}.${key}`);
+          if (error) return error;
+        } else {
+          return `${path}.${key} is not allowed`;
+        }
+      }
+      return null;
+    }
+    default:
+      return `${path} has an unsupported schema`;
+  }
+}
+// #endregion
+
+// =================================================================================
+// #region CLIENT MESSAGES
+// =================================================================================
+const MAX_CURVE_POINTS = 4096;
+const MAX_COORDINATE = 10000;
+
+// Empty names are allowed; the server falls back to a default
+const nameSchema = { type: 'string', maxLength: 32 };
+const stageIdSchema = { type: 'string', minLength: 1, maxLength: 128 };
+const unit = { type: 'number', min: -1, max: 1 };
+
+// Terrain params as fbm.js reads them. The worker samples the terrain for every
+// ship corner on every tick, so octave count and the other inputs are bounded.
+// Fields it does not read are dropped.
+const fbmParamsSchema = {
+  type: 'object',
+  additional: 'strip',
+  properties: {
+    uOctaves: { type: 'number', integer: true, min: 1, max: 12 },
+    uFrequency: { type: 'number', min: 0.01, max: 20 },
+    uLacunarity: { type: 'number', min: 1, max: 4 },
+    uPersistence: { type: 'number', min: 0, max: 1 },
+    uExponentiation: { type: 'number', min: 0.1, max: 8 },
+    uMaxHeight: { type: 'number', min: 0, max: 200 },
+    planetSize: { type: 'number', min: 10, max: 5000 },
+    useRidged: { type: 'boolean' },
+  },
+};
+
+const curvePointsSchema = {
+  type: 'array',
+  minItems: 2,
+  maxItems: MAX_CURVE_POINTS,
+  items: {
+    type: 'array',
+    minItems: 3,
+    maxItems: 3,
+    items: { type: 'number', min: -MAX_COORDINATE, max: MAX_COORDINATE },
+  },
+};
+
+// Slipstream cone and bonus (see drafting.js); missing fields keep the defaults
+const draftingSchema = {
+  type: 'object',
+  properties: {
+    range: { type: 'number', min: 1, max: 200 },
+    angle: { type: 'number', min: 1, max: 90 },
+    speedBonus: { type: 'number', min: 0, max: 1 },
+    buildSeconds: { type: 'number', min: 0.1, max: 10 },
+    fadeSeconds: { type: 'number', min: 0.1, max: 10 },
+  },
+};
+
+const stageProperties = {
+  name: nameSchema,
+  stageId: stageIdSchema,
+  fbmParams: fbmParamsSchema,
+  curvePoints: curvePointsSchema,
+  drafting: draftingSchema,
+};
+
+// Messages with no payload still tolerate an empty object
+const noPayload = { type: 'object', optional: true, additional: true };
+
+export const clientMessageSchemas = {
+  resume: {
+    type: 'object',
+    required: ['token'],
+    properties: { token: { type: 'string', minLength: 1, maxLength: 128 } },
+  },
+  join: {
+    type: 'object',
+    optional: true,
+    properties: stageProperties,
+  },
+  'room:create': {
+    type: 'object',
+    optional: true,
+    properties: {
+      ...stageProperties,
+      lobby: {
+        type: 'object',
+        properties: {
+          minPlayers: { type: 'number', integer: true, min: 1, max: 8 },
+          maxWaitMs: { type: 'number', integer: true, min: 0, max: 600000 },
+          startWhenFull: { type: 'boolean' },
+          countdownSeconds: { type: 'number', integer: true, min: 1, max: 60 },
+        },
+      },
+      snapshotRate: { type: 'number', integer: true, min: 1, max: 60 },
+    },
+  },
+  'room:join': {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', minLength: 4, maxLength: 8 },
+      name: nameSchema,
+    },
+  },
+  spectate: {
+    type: 'object',
+    properties: {
+      roomId: { type: 'string', minLength: 1, maxLength: 64 },
+      code: { type: 'string', minLength: 4, maxLength: 8 },
+      name: nameSchema,
+    },
+  },
+  vote: {
+    type: 'object',
+    required: ['choice'],
+    properties: {
+      choice: { type: 'string', enum: ['rematch', 'stage'] },
+      stageId: stageIdSchema,
+      fbmParams: fbmParamsSchema,
+      curvePoints: curvePointsSchema,
+      drafting: draftingSchema,
+    },
+  },
+  setReady: {
+    type: 'object',
+    required: ['ready'],
+    properties: { ready: { type: 'boolean' } },
+  },
+  // Extra fields from newer clients are dropped rather than failing the input
+  input: {
+    type: 'object',
+    additional: 'strip',
+    properties: {
+      seq: { type: 'number', integer: true, min: 1, max: 0xffffffff },
+      tick: { type: 'number', integer: true, min: 0, max: 0xffffffff },
+      throttle: unit,
+      inputAxis: {
+        type: 'object',
+        required: ['x', 'y'],
+        additional: 'strip',
+        properties: { x: unit, y: unit },
+      },
+    },
+  },
+  config: {
+    type: 'object',
+    properties: {
+      playerSpeed: { type: 'number', min: 0, max: 1000 },
+      acceleration: { type: 'number', min: 0, max: 1000 },
+      pitchVelocity: { type: 'number', min: 0, max: 20 },
+      rollVelocity: { type: 'number', min: 0, max: 20 },
+      mass: { type: 'number', min: 0.1, max: 100 },
+    },
+  },
+  respawn: noPayload,
+  finish: noPayload,
+  removed: noPayload,
+  startNow: noPayload,
+};
+
+// { ok: true } or { ok: false, code, message } for an already-parsed message
+export function validateClientMessage(data) {
+  if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+    return { ok: false, code: 'INVALID_MESSAGE', message: 'Messages must be objects with a string type' };
+  }
+  const schema = clientMessageSchemas[data.type];
+  if (!schema) {
+    return { ok: false, code: 'UNKNOWN_MESSAGE', message: `Unknown message type: ${data.type}` };
+  }
+  const error = validate(schema, data.payload);
+  return error ? { ok: false, code: 'INVALID_PAYLOAD', message: error } : { ok: true };
+}
+// #endregion
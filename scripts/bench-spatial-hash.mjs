@@ -0,0 +1,85 @@
+// Compare the spatial-hash broad phase with the all-pairs check it replaced, for
+// rooms well beyond MAX_PLAYERS_PER_ROOM.
+//   node scripts/bench-spatial-hash.mjs [--counts=8,32,128,512,2048] [--ms=200]
+import { performance } from 'node:perf_hooks';
+import { clearSpatialHash, createSpatialHash, insertSpatialHash, querySpatialHash } from '../spatialHash.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).filter(arg => arg.startsWith('--')).map(arg => arg.slice(2).split('='))
+);
+const counts = (args.counts ?? '8,32,128,512,2048').split(',').map(Number);
+const budgetMs = Number(args.ms ?? 200);
+
+const TRACK_RADIUS = 360;   // ships spread around a loop like the default track
+const CORRIDOR = 20;        // and up to this far off its centreline
+const REACH = 4;            // centre distance at which two ships can touch
+const CELL_SIZE = 8;
+
+// Deterministic positions so runs are comparable
+let seed = 42;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+function shipsOnTrack(count) {
+  const ships = [];
+  for (let i = 0; i < count; i++) {
+    const angle = random() * Math.PI * 2;
+    const radius = TRACK_RADIUS + (random() - 0.5) * CORRIDOR * 2;
+    ships.push({ x: Math.cos(angle) * radius, y: (random() - 0.5) * CORRIDOR * 2, z: Math.sin(angle) * radius });
+  }
+  return ships;
+}
+
+function allPairs(ships) {
+  let pairs = 0;
+  for (let i = 0; i < ships.length; i++) {
+    const a = ships[i];
+    for (let j = i + 1; j < ships.length; j++) {
+      const b = ships[j];
+      const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+      if (dx * dx + dy * dy + dz * dz <= REACH * REACH) pairs++;
+    }
+  }
+  return pairs;
+}
+
+const hash = createSpatialHash({ cellSize: CELL_SIZE });
+const neighbours = [];
+
+// Rebuild and query once per ship, as the worker does every tick
+function hashed(ships) {
+  clearSpatialHash(hash);
+  for (const ship of ships) insertSpatialHash(hash, ship, ship);
+  let pairs = 0;
+  for (let i = 0; i < ships.length; i++) {
+    querySpatialHash(hash, ships[i], REACH, neighbours);
+    for (let k = 0; k < neighbours.length; k++) if (neighbours[k] > i) pairs++;
+  }
+  return pairs;
+}
+
+// Average ms per call over roughly budgetMs of repeated calls
+function time(fn, ships) {
+  let runs = 0;
+  let result = 0;
+  const start = performance.now();
+  while (performance.now() - start < budgetMs) {
+    result = fn(ships);
+    runs++;
+  }
+  return { ms: (performance.now() - start) / runs, result };
+}
+
+console.log('ships  all-pairs ms/tick  hashed ms/tick  speedup  contacts');
+for (const count of counts) {
+  const ships = shipsOnTrack(count);
+  const brute = time(allPairs, ships);
+  const grid = time(hashed, ships);
+  if (brute.result !== grid.result) {
+    console.error(`Contact counts differ for ${count} ships: ${brute.result} vs ${grid.result}`);
+    process.exit(1);
+  }
+  console.log(
+    `${String(count).padStart(5)}  ${brute.ms.toFixed(4).padStart(17)}  ${grid.ms.toFixed(4).padStart(14)}` +
+    `  ${(brute.ms / grid.ms).toFixed(1).padStart(6)}x  ${String(grid.result).padStart(8)}`
+  );
+}
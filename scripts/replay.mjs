@@ -0,0 +1,29 @@
+// Re-simulate a recorded race and check it reproduces the recorded positions.
+//   node scripts/replay.mjs <replay.ndjson> [--tolerance=1e-6]
+import { readFileSync } from 'node:fs';
+import { parseReplay, resimulate } from '../replay.js';
+import * as sim from '../workers/PhysicsWorker.js';
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const toleranceArg = args.find(arg => arg.startsWith('--tolerance='));
+
+if (!file) {
+  console.error('Usage: node scripts/replay.mjs <replay.ndjson> [--tolerance=1e-6]');
+  process.exit(2);
+}
+
+const replay = parseReplay(readFileSync(file, 'utf8'));
+const tolerance = toleranceArg ? Number(toleranceArg.split('=')[1]) : undefined;
+const { ticks, checks, mismatches } = resimulate(replay, sim, { tolerance });
+
+console.log(`Replayed ${ticks} ticks, ${replay.events.length} events, ${checks} position checks`);
+if (mismatches.length > 0) {
+  const first = mismatches[0];
+  console.error(
+    `${mismatches.length} mismatches; first at tick ${first.tick} for ${first.playerId}: ` +
+    `expected ${JSON.stringify(first.expected)}, got ${JSON.stringify(first.actual)} (error ${first.error})`
+  );
+  process.exit(1);
+}
+console.log('Replay reproduced all recorded positions');
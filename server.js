@@ -6,6 +6,17 @@ import { v4 as uuidv4 } from 'uuid';
 import { Worker } from 'worker_threads';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import fs from 'fs';
+import { computeResults, computeStandings, createRaceTrace, raceDeadline, recordRaceFront } from './standings.js';
+import { stageKey } from './stage.js';
+import { createLobbyPolicy, evaluateLobby } from './lobby.js';
+import { validateClientMessage } from './schema.js';
+import { CONGESTED_BUFFER_BYTES, effectiveSnapshotRate, encodeSnapshot, nextSnapshotDivisor } from './snapshot.js';
+import { tallyVotes } from './votes.js';
+import { buildTrack } from './track.js';
+import { placeItems } from './items.js';
+import { heartbeatExpired, idlePlayers, recordPong } from './liveness.js';
 
 // Log Throttle
 export function createLogThrottle(limitPerSecond = 2) {
@@ -26,6 +37,33 @@ export function createLogThrottle(limitPerSecond = 2) {
 
 // --- Constants ---
 const MAX_PLAYERS_PER_ROOM = 8;
+const MAX_SPECTATORS_PER_ROOM = 16;
+const RACE_LAPS = Number(process.env.RACE_LAPS) || 3;
+const STANDINGS_RATE_HZ = Number(process.env.STANDINGS_RATE_HZ) || 4;
+const SNAPSHOT_RATE_HZ = Number(process.env.SNAPSHOT_RATE_HZ) || 30;
+const PREGAME_SECONDS = Number(process.env.PREGAME_SECONDS) || 10;
+const FINISH_WINDOW_SECONDS = Number(process.env.FINISH_WINDOW_SECONDS ?? 30);
+const RACE_TIME_LIMIT_SECONDS = Number(process.env.RACE_TIME_LIMIT_SECONDS ?? 600);
+const RESULTS_SECONDS = Number(process.env.RESULTS_SECONDS) || 30;
+const LOBBY_MIN_PLAYERS = Number(process.env.LOBBY_MIN_PLAYERS) || 1;
+const LOBBY_MAX_WAIT_MS = Number(process.env.LOBBY_MAX_WAIT_MS) || 0;
+const LOBBY_START_WHEN_FULL = process.env.LOBBY_START_WHEN_FULL !== 'false';
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS ?? 15000);
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 10000;
+const HEARTBEAT_TIMEOUT_MS = Number(process.env.HEARTBEAT_TIMEOUT_MS) || 30000;
+const INPUT_IDLE_TIMEOUT_MS = Number(process.env.INPUT_IDLE_TIMEOUT_MS ?? 60000);
+const INPUT_DELAY_TICKS = Number(process.env.INPUT_DELAY_TICKS ?? 2);
+const OUT_OF_BOUNDS_RADIUS = Number(process.env.OUT_OF_BOUNDS_RADIUS) || 40;
+const OUT_OF_BOUNDS_SECONDS = Number(process.env.OUT_OF_BOUNDS_SECONDS ?? 3);
+const OUT_OF_BOUNDS_ACTION = process.env.OUT_OF_BOUNDS_ACTION === 'slow' ? 'slow' : 'reset';
+const RESPAWN_PENALTY_SECONDS = Number(process.env.RESPAWN_PENALTY_SECONDS ?? 2);
+const RESPAWN_INVULNERABLE_SECONDS = Number(process.env.RESPAWN_INVULNERABLE_SECONDS ?? 2);
+const STUCK_SECONDS = Number(process.env.STUCK_SECONDS ?? 3);
+const REPLAY_DIR = process.env.REPLAY_DIR || null;
+const DEFAULT_STAGE = '/stages/stage1';
+const ROOM_CODE_LENGTH = 6;
+const WORKER_STOP_TIMEOUT_MS = 1000;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 // -----------------
 
 const app = express();
@@ -48,6 +86,8 @@ const state = {
     //   raceStartAt: null,
     // },
   },
+  // Resumable sessions, keyed by resume token
+  sessions: {},
 };
 
 function log(msg, roomId = null) {
@@ -65,136 +105,484 @@ function getRoom(roomId) {
   return state.rooms[roomId];
 }
 
-// Find or create an open room
-function getOrCreateOpenRoom({ playerId, name, fbmParams, curvePoints, ws, stage = '/stages/stage1' } = {}) {
-  log('Searching for open room...');
+// Find or create an open room for this stage. Private rooms are never matched.
+function getOrCreateOpenRoom({ stageId, fbmParams, curvePoints, drafting } = {}) {
+  const key = stageKey({ stageId, fbmParams, curvePoints, drafting });
+  log(`Searching for open room for stage ${key}...`);
   for (const roomId in state.rooms) {
     const room = state.rooms[roomId];
     const playerCount = Object.keys(room.players).length;
-    if (room.phase === 'lobby' && playerCount < MAX_PLAYERS_PER_ROOM) {
+    if (
+      !room.isPrivate &&
+      room.stageKey === key &&
+      room.phase === 'lobby' &&
+      playerCount < MAX_PLAYERS_PER_ROOM
+    ) {
       log(`Found open room: ${roomId}`);
       return room;
     }
   }
 
   log('No open room found, creating new room...');
+  return createRoom({ stageId, fbmParams, curvePoints, drafting });
+}
+
+// Short, unambiguous join code for private rooms (no 0/O or 1/I)
+export function generateRoomCode(length = ROOM_CODE_LENGTH) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function findRoomByCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) return null;
+  return Object.values(state.rooms).find(room => room.code === normalized) || null;
+}
+
+function createRoom({
+  stageId,
+  fbmParams,
+  curvePoints,
+  drafting,
+  isPrivate = false,
+  lobby = {},
+  snapshotRate = SNAPSHOT_RATE_HZ,
+} = {}) {
   const newRoomId = uuidv4();
+  let code = null;
+  if (isPrivate) {
+    do { code = generateRoomCode(); } while (findRoomByCode(code));
+  }
+
   const newRoom = {
     id: newRoomId,
+    code,
+    isPrivate,
     players: {},
+    spectators: {},
     phase: 'lobby',
-    stage,
+    stage: stageId || DEFAULT_STAGE,
+    stageKey: stageKey({ stageId, fbmParams, curvePoints, drafting }),
+    fbmParams: fbmParams || null,
+    curvePoints: curvePoints || null,
+    drafting: drafting || null, // slipstream tuning for the worker (null = drafting.js defaults)
+    // Boost pads and item boxes along the track, sent to clients and the worker
+    items: placeItems(buildTrack(curvePoints)),
+    lobbyPolicy: createLobbyPolicy({
+      minPlayers: LOBBY_MIN_PLAYERS,
+      maxWaitMs: LOBBY_MAX_WAIT_MS,
+      startWhenFull: LOBBY_START_WHEN_FULL,
+      countdownSeconds: PREGAME_SECONDS,
+      ...lobby,
+      maxPlayers: MAX_PLAYERS_PER_ROOM,
+    }),
+    lobbyOpenedAt: null,
+    lobbyTimer: null,
+    pregameReason: null,
     pregameTimer: null,
     raceTimer: null,
     raceStartAt: null,
+    standingsTimer: null,
+    raceTrace: null,
+    firstFinishAt: null,
+    // { endsAt, reason } for the time limit or finish window, whichever is sooner
+    raceDeadline: null,
+    raceEndTimer: null,
+    results: null,
+    votes: {},
+    resultsEndsAt: null,
+    resultsTimer: null,
+    // What the worker really sends at, so net:rate reports what clients receive
+    snapshotRate: effectiveSnapshotRate(snapshotRate),
+    snapshotSeq: 0,
+    lastSnapshot: null,
+    // Latest simulation tick; a replacement worker counts on from here so
+    // clients never see ticks go backwards after a rematch or stage change
+    lastTick: 0,
     physicsWorker: null,
+    workerReady: false,
+    // Messages posted before the worker signals 'ready', flushed in order
+    pendingWorkerMessages: [],
   };
 
-  // === Instantiate Physics Worker ===
-const workerPath = path.resolve('./workers/PhysicsWorker.js');
-const worker = new Worker(workerPath);
-newRoom.physicsWorker = worker;
+  startWorker(newRoom);
 
-let workerReady = false;
-
-// Queue any messages we want to send before ready
-const pendingMessages = [];
-
-// Send safely to worker
-const sendToWorker = (msg) => {
-  if (workerReady) {
-    worker.postMessage(msg);
-  } else {
-    pendingMessages.push(msg);
-  }
-};
+  state.rooms[newRoomId] = newRoom;
+  log(`Created new ${isPrivate ? `private room [${code}]` : 'room'} [${newRoomId}].`);
+  return newRoom;
+}
 
-// Wait for worker to signal readiness
-worker.once('message', (msg) => {
-  if (msg.type === 'ready') {
-    workerReady = true;
-
-    // Flush queued messages
-    for (const m of pendingMessages) worker.postMessage(m);
-    pendingMessages.length = 0;
-
-    // Now it's safe to send init/start
-    sendToWorker({
-      type: 'init',
-      fbmParams,
-      curvePoints,
-      planetSize: fbmParams?.planetSize || 350,
-      restitution: 0.0,
-      slideFactor: 0.0,
-    });
-
-    sendToWorker({ type: 'start' });
-
-    // Add player if needed
-    if (playerId) {
-      sendToWorker({
-        type: 'addPlayer',
-        playerId,
-        position: [0, 0, 0],
-        acceleration: 1.0,
-        pitchVelocity: 1.0,
-        rollVelocity: 1.0,
-        damping: 0.998,
-        playerSpeed: 1.0,
-        fbmParams: fbmParams || {},
-        curvePoints: curvePoints || [],
-      });
-    }
-  }
-});
+// One worker per race: a rematch or stage change gets a fresh one (and a new replay)
+function startWorker(room) {
+  const roomId = room.id;
+  const worker = new Worker(path.resolve('./workers/PhysicsWorker.js'));
+  room.physicsWorker = worker;
+  room.workerReady = false;
+  room.pendingWorkerMessages = [];
+  // This worker's replay file, opened on its first lines (see writeReplay)
+  const replay = { roomId, stream: null };
+
+  // init is always the first message the worker sees
+  postToWorker(room, {
+    type: 'init',
+    fbmParams: room.fbmParams,
+    curvePoints: room.curvePoints,
+    planetSize: room.fbmParams?.planetSize || 350,
+    laps: RACE_LAPS,
+    startTick: room.lastTick,
+    snapshotRate: room.snapshotRate,
+    inputDelayTicks: INPUT_DELAY_TICKS,
+    outOfBounds: {
+      radius: OUT_OF_BOUNDS_RADIUS,
+      thresholdSeconds: OUT_OF_BOUNDS_SECONDS,
+      action: OUT_OF_BOUNDS_ACTION,
+    },
+    respawn: {
+      penaltySeconds: RESPAWN_PENALTY_SECONDS,
+      invulnerableSeconds: RESPAWN_INVULNERABLE_SECONDS,
+      stuckSeconds: STUCK_SECONDS,
+    },
+    restitution: 0.0,
+    slideFactor: 0.0,
+    shipRestitution: 0.5,
+    items: room.items,
+    drafting: room.drafting,
+    record: Boolean(REPLAY_DIR),
+  });
+  postToWorker(room, { type: 'start' });
 
   // Listen for messages from physics worker
   worker.on('message', (msg) => {
+    // Replay lines are kept even from a stopped worker: its last flush comes after 'stop'
+    if (msg.type === 'replay') {
+      writeReplay(replay, msg.lines);
+      return;
+    }
+    if (msg.type === 'stopped') {
+      worker.terminate();
+      return;
+    }
+    // A replaced worker can still have messages in flight
+    if (room.physicsWorker !== worker) return;
     const { type, state, payload } = msg;
 
+    if (type === 'ready') {
+      room.workerReady = true;
+      for (const m of room.pendingWorkerMessages) worker.postMessage(m);
+      room.pendingWorkerMessages.length = 0;
+      return;
+    }
+
     if (type === 'PhysicsWorker:log') {
-      log(`[PhysicsWorker ${newRoomId}] ${payload.message}`);
+      log(`[PhysicsWorker ${roomId}] ${payload.message}`);
       return;
     } 
 
-    if (type === 'tick') {
-      // ignore for now
+    if (type === 'tickOverrun') {
+      log(`[PhysicsWorker ${roomId}] fell behind at tick ${msg.tick}, dropped ${msg.droppedSteps} steps`);
     } else if (type === 'stateUpdate') {
-      broadcast(newRoomId, 'physics:update', { state });
+      const snapshot = { tick: msg.tick, serverTime: msg.serverTime, state, items: msg.items };
+      room.lastSnapshot = snapshot;
+      room.lastTick = msg.tick;
+      applyProgress(roomId, state);
+      broadcastSnapshot(roomId, snapshot);
+    } else if (type === 'lap') {
+      onPlayerLap(roomId, msg);
+    } else if (type === 'finished') {
+      onPlayerFinished(roomId, msg.playerId);
+    } else if (type === 'outOfBounds') {
+      onPlayerOutOfBounds(roomId, msg);
+    } else if (type === 'respawned') {
+      onPlayerRespawned(roomId, msg);
+    } else if (type === 'collision') {
+      onShipCollision(roomId, msg);
+    } else if (type === 'itemCollected') {
+      onItemCollected(roomId, msg);
     }
   });
 
   worker.on('error', (err) => {
-    log(`Physics worker for room ${newRoomId} error: ${err.stack || err}`);
+    log(`Physics worker for room ${roomId} error: ${err.stack || err}`);
   });
   worker.on('exit', (code) => {
-    log(`Physics worker for room ${newRoomId} exited with code ${code}`);
-    if (state.rooms[newRoomId]) state.rooms[newRoomId].physicsWorker = null;
+    log(`Physics worker for room ${roomId} exited with code ${code}`);
+    if (room.physicsWorker === worker) room.physicsWorker = null;
+    replay.stream?.end();
   });
+}
 
-  // Track initial player in room state
-  if (playerId) {
-    newRoom.players[playerId] = { 
-      id: playerId,
-      name: name || 'anon',
-      socket: ws || null,
-      joinedAt: Date.now(),
-      ready: false,
-      score: 0,
-      outOfBoundsTime: 0
-    };
+// The room lets go of its worker at once. The worker flushes its replay and
+// answers 'stopped', and is terminated then (or after WORKER_STOP_TIMEOUT_MS).
+function stopWorker(room) {
+  const worker = room.physicsWorker;
+  if (!worker) return;
+  room.physicsWorker = null;
+  // Before 'ready' it has not even been sent init, so there is nothing to flush
+  if (!room.workerReady) {
+    worker.terminate();
+    return;
   }
+  worker.postMessage({ type: 'stop' });
+  const timer = setTimeout(() => worker.terminate(), WORKER_STOP_TIMEOUT_MS);
+  worker.once('exit', () => clearTimeout(timer));
+}
 
-  state.rooms[newRoomId] = newRoom;
-  log(`Created new room [${newRoomId}] with ${Object.keys(newRoom.players).length} player(s).`);
-  return newRoom;
+// The worker mirrors room.phase: ships are held on the grid until 'racing'
+function setRoomPhase(room, phase) {
+  room.phase = phase;
+  postToWorker(room, { type: 'phase', phase });
+}
+
+// Send safely to a room's worker, queueing until it is ready
+function postToWorker(room, msg) {
+  if (!room.physicsWorker) return;
+  if (room.workerReady) room.physicsWorker.postMessage(msg);
+  else room.pendingWorkerMessages.push(msg);
+}
+
+function addPlayerToRoom(room, ws, { name } = {}) {
+  const playerId = ws.playerId;
+  ws.roomId = room.id;
+
+  room.players[playerId] = {
+    id: playerId,
+    index: nextPlayerIndex(room),
+    name: name || 'anon',
+    socket: ws,
+    joinedAt: Date.now(),
+    ready: false,
+    score: 0,
+    outOfBoundsTime: 0,
+    config: null,
+  };
+  addPlayerToWorker(room, room.players[playerId]);
+
+  send(ws, 'joined', {
+    playerId,
+    roomId: room.id,
+    code: room.code,
+    stage: room.stage,
+    fbmParams: room.fbmParams,
+    curvePoints: room.curvePoints,
+    items: room.items,
+  });
+  assignStartPositions(room.id);
+  broadcastRoomState(room.id);
+  updateLobby(room.id);
+}
+
+// Also used to re-add everyone to a fresh worker, so the player's last config is replayed
+function addPlayerToWorker(room, p) {
+  postToWorker(room, {
+    type: 'addPlayer',
+    playerId: p.id,
+    acceleration: 1.0,
+    pitchVelocity: 1.0,
+    rollVelocity: 1.0,
+    damping: 0.998,
+    playerSpeed: 1.0,
+    fbmParams: room.fbmParams || {},
+    curvePoints: room.curvePoints || [],
+  });
+  if (p.config) postToWorker(room, { type: 'config', playerId: p.id, ...p.config });
+}
+
+// Remove a player from their room; the room is torn down once it is empty
+function leaveRoom(roomId, playerId) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  const p = room.players[playerId];
+  if (!p) return;
+
+  postToWorker(room, { type: 'removePlayer', playerId });
+  delete room.players[playerId];
+  if (p.socket && p.socket.roomId === roomId) p.socket.roomId = null;
+
+  const remaining = Object.values(room.players);
+  if (remaining.length === 0) {
+    cleanupRoom(roomId);
+    return;
+  }
+  // Close up the grid while ships are still parked on it
+  if (room.phase !== 'racing' && room.phase !== 'results') assignStartPositions(roomId);
+  broadcastRoomState(roomId);
+  updateLobby(roomId);
+  if (room.phase === 'racing' && remaining.every(pl => pl.finishedAt)) endRace(roomId);
+  updateVotes(roomId);
+}
+
+function isInRoom(ws) {
+  return !!(ws.roomId && getRoom(ws.roomId)?.players[ws.playerId]);
+}
+
+// =================================================================================
+// #region SESSIONS
+// =================================================================================
+// Each connection gets a resume token. If the socket drops while in a room, the
+// player's slot and physics body are held for RESUME_GRACE_MS so a reconnecting
+// client can send `resume { token }` and carry on.
+function createSession(ws) {
+  const session = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    playerId: ws.playerId,
+    socket: ws,
+    graceTimer: null,
+  };
+  state.sessions[session.token] = session;
+  return session;
+}
+
+function endSession(session) {
+  if (!session) return;
+  clearTimeout(session.graceTimer);
+  delete state.sessions[session.token];
+}
+
+function holdSession(ws) {
+  const { session, roomId, playerId } = ws;
+  const room = getRoom(roomId);
+  const p = room.players[playerId];
+
+  p.socket = null;
+  p.disconnectedAt = Date.now();
+  session.socket = null;
+  // Don't leave the ship flying on its last input while nobody is steering
+  postToWorker(room, { type: 'input', playerId, throttle: 0, inputAxis: { x: 0, y: 0 } });
+
+  session.graceTimer = setTimeout(() => {
+    leaveRoom(roomId, playerId);
+    endSession(session);
+  }, RESUME_GRACE_MS);
+
+  log(`Player ${playerId} disconnected, holding slot for ${RESUME_GRACE_MS}ms`, roomId);
+  broadcastRoomState(roomId);
 }
 
+function resumeSession(ws, token) {
+  const session = state.sessions[token];
+  if (!session || session === ws.session) {
+    sendError(ws, 'RESUME_FAILED', 'Unknown or expired session.', 'resume');
+    return;
+  }
+  if (isInRoom(ws)) {
+    sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first.', 'resume');
+    return;
+  }
+
+  // An old socket that never closed cleanly (half-open) is replaced outright
+  const previous = session.socket;
+  if (previous && previous !== ws) {
+    previous.replaced = true;
+    // Its close handler returns early, so release its spectator slot here
+    if (previous.spectating) stopSpectating(previous);
+    previous.terminate();
+  }
+
+  endSession(ws.session);
+  if (ws.spectating) stopSpectating(ws);
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+
+  // Rotate the token so a leaked one can only be used once
+  delete state.sessions[session.token];
+  session.token = crypto.randomBytes(24).toString('base64url');
+  session.socket = ws;
+  state.sessions[session.token] = session;
+
+  ws.session = session;
+  ws.playerId = session.playerId;
+
+  const room = Object.values(state.rooms).find(r => r.players[session.playerId]);
+  const p = room?.players[session.playerId];
+  if (p) {
+    p.socket = ws;
+    p.disconnectedAt = null;
+    ws.roomId = room.id;
+    // The new socket numbers its inputs from 1 again
+    postToWorker(room, { type: 'resume', playerId: session.playerId });
+  }
+
+  send(ws, 'resumed', {
+    playerId: session.playerId,
+    resumeToken: session.token,
+    roomId: room?.id ?? null,
+    code: room?.code ?? null,
+    stage: room?.stage ?? null,
+    fbmParams: room?.fbmParams ?? null,
+    curvePoints: room?.curvePoints ?? null,
+    items: room?.items ?? [],
+    phase: room?.phase ?? null,
+  });
+  log(`Player resumed: ${session.playerId}`, room?.id);
+
+  if (room) {
+    broadcastRoomState(room.id);
+    sendRoomSnapshot(ws, room);
+  }
+}
+
+// Everything a (re)joining client or new spectator needs to catch up without waiting for events
+function sendRoomSnapshot(ws, room) {
+  if (room.lastSnapshot) sendSnapshot(ws, room, room.lastSnapshot);
+  if (room.phase === 'racing' || room.phase === 'results') {
+    send(ws, 'race:start', { startedAt: room.raceStartAt, endsAt: room.raceDeadline?.endsAt ?? null });
+    if (room.raceTrace) {
+      const standings = computeStandings(Object.values(room.players), room.raceTrace, Date.now());
+      send(ws, 'race:standings', { standings });
+    }
+  }
+  if (room.results) send(ws, 'race:results', { results: room.results, votingEndsAt: room.resultsEndsAt });
+}
+// #endregion
+
+// =================================================================================
+// #region SPECTATORS
+// =================================================================================
+// A spectator socket is bound to a room (ws.roomId) so it receives the room's
+// broadcasts, but it has no player entry, slot or physics body.
+function startSpectating(ws, room, { name } = {}) {
+  if (ws.spectating) stopSpectating(ws);
+
+  room.spectators[ws.playerId] = { id: ws.playerId, name: name || 'Spectator', socket: ws };
+  ws.roomId = room.id;
+  ws.spectating = true;
+
+  send(ws, 'spectating', {
+    roomId: room.id,
+    code: room.code,
+    stage: room.stage,
+    fbmParams: room.fbmParams,
+    curvePoints: room.curvePoints,
+    items: room.items,
+    phase: room.phase,
+  });
+  log(`Spectator ${ws.playerId} watching room ${room.id}`, room.id);
+  broadcastRoomState(room.id);
+  sendRoomSnapshot(ws, room);
+}
+
+function stopSpectating(ws) {
+  const room = getRoom(ws.roomId);
+  ws.roomId = null;
+  ws.spectating = false;
+  if (!room) return;
+  delete room.spectators[ws.playerId];
+  broadcastRoomState(room.id);
+}
+// #endregion
+
 function send(ws, type, payload) {
   const msg = JSON.stringify({ type, payload });
   if (ws && ws.readyState === ws.OPEN) ws.send(msg);
 }
 
+function sendError(ws, code, message, ref = null) {
+  send(ws, 'error', { code, message, ref });
+}
+
 // Updated Broadcast function (targets only clients in the specified roomId)
 function broadcast(roomId, type, payload) {
   const room = getRoom(roomId);
@@ -208,6 +596,61 @@ function broadcast(roomId, type, payload) {
   });
 }
 
+// physics:update goes out as JSON, or as a binary frame (snapshot.js) to clients
+// that opted in with ?snapshot=binary. Each encoding is built at most once.
+// snapshot: { tick, serverTime, state } as posted by the worker at the room's rate;
+// slow clients get every Nth one (snapshotDivisor) and skip frames while their
+// send buffer is backed up.
+function broadcastSnapshot(roomId, snapshot) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  const seq = room.snapshotSeq++;
+  let json = null;
+  let binary = null;
+  wss.clients.forEach(client => {
+    if (client.readyState !== client.OPEN || client.roomId !== roomId) return;
+    if (seq % client.snapshotDivisor !== 0) return;
+    if (client.bufferedAmount > CONGESTED_BUFFER_BYTES) return;
+    if (client.snapshotFormat === 'binary') {
+      binary ??= encodeRoomSnapshot(room, snapshot);
+      client.send(binary);
+    } else {
+      json ??= JSON.stringify({ type: 'physics:update', payload: snapshot });
+      client.send(json);
+    }
+  });
+}
+
+function sendSnapshot(ws, room, snapshot) {
+  if (ws.snapshotFormat === 'binary') {
+    if (ws.readyState === ws.OPEN) ws.send(encodeRoomSnapshot(room, snapshot));
+  } else {
+    send(ws, 'physics:update', snapshot);
+  }
+}
+
+function encodeRoomSnapshot(room, { tick, serverTime, state, items }) {
+  return encodeSnapshot(state, id => room.players[id]?.index, { tick, serverTime, items });
+}
+
+// Re-rate a client's snapshots from its measured ping and send buffer
+function adjustSnapshotRate(ws) {
+  const room = getRoom(ws.roomId);
+  if (!room) return;
+  const divisor = nextSnapshotDivisor(ws.snapshotDivisor, { rtt: ws.rtt, bufferedAmount: ws.bufferedAmount });
+  if (divisor === ws.snapshotDivisor) return;
+  ws.snapshotDivisor = divisor;
+  send(ws, 'net:rate', { snapshotRate: room.snapshotRate / divisor });
+}
+
+// Lowest index not used by another player; identifies players in binary snapshots
+function nextPlayerIndex(room) {
+  const used = new Set(Object.values(room.players).map(p => p.index));
+  let index = 0;
+  while (used.has(index)) index++;
+  return index;
+}
+
 // Updated broadcastRoomState function
 function broadcastRoomState(roomId) {
   const room = getRoom(roomId);
@@ -215,16 +658,21 @@ function broadcastRoomState(roomId) {
   
   const players = Object.values(room.players).map(p => ({
     id: p.id,
+    index: p.index,
     name: p.name,
     position: p.position ?? null,
     score: p.score ?? 0,
     outOfBoundsTime: p.outOfBoundsTime || 0,
-    ready: !!p.ready
+    ready: !!p.ready,
+    dnf: !!p.dnf,
+    connected: !!p.socket
   }));
+  const spectators = Object.values(room.spectators).map(s => ({ id: s.id, name: s.name }));
   // Pass the roomId to the broadcast function
-  broadcast(roomId, 'room:update', { phase: room.phase, players });
+  broadcast(roomId, 'room:update', { phase: room.phase, code: room.code, players, spectators });
 }
 
+// Start order is join order. The worker parks each ship in grid slot position - 1.
 function assignStartPositions(roomId) {
   const room = getRoom(roomId);
   if (!room) return;
@@ -232,19 +680,48 @@ function assignStartPositions(roomId) {
   const players = Object.values(room.players);
   players.sort((a, b) => a.joinedAt - b.joinedAt);
   players.forEach((p, i) => { p.position = i + 1; });
+  postToWorker(room, { type: 'grid', slots: Object.fromEntries(players.map(p => [p.id, p.position - 1])) });
 }
 
-function cleanupRoom(roomId, playerId) {
-  const room = getRoom(roomId);
-  if (!room) return;
+// Replay lines recorded by a worker, appended to REPLAY_DIR/<time>-<roomId>.ndjson.
+// replay: { roomId, stream } for that worker
+function writeReplay(replay, lines) {
+  if (!REPLAY_DIR || lines.length === 0 || replay.stream?.writableEnded) return;
+  if (!replay.stream) {
+    fs.mkdirSync(REPLAY_DIR, { recursive: true });
+    const file = path.join(REPLAY_DIR, `${Date.now()}-${replay.roomId}.ndjson`);
+    replay.stream = fs.createWriteStream(file);
+    replay.stream.on('error', err => log(`Replay write failed for room ${replay.roomId}: ${err.message}`));
+    log(`Recording replay for room ${replay.roomId} to ${file}`);
+  }
+  replay.stream.write(lines.join('\n') + '\n');
+}
+
+function clearRoomTimers(room) {
   clearInterval(room.pregameTimer);
   clearInterval(room.raceTimer);
+  clearInterval(room.standingsTimer);
+  clearTimeout(room.lobbyTimer);
+  clearTimeout(room.resultsTimer);
+  clearTimeout(room.raceEndTimer);
+  room.pregameTimer = null;
+  room.raceTimer = null;
+  room.standingsTimer = null;
+  room.lobbyTimer = null;
+  room.resultsTimer = null;
+  room.raceEndTimer = null;
+}
+
+function cleanupRoom(roomId) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  clearRoomTimers(room);
+  stopWorker(room);
 
-  if (room.physicsWorker) {
-  room.physicsWorker.postMessage({ type: 'removePlayer',  playerId });
-    room.physicsWorker.postMessage({ type: 'stop' });
-    room.physicsWorker.terminate();
-    room.physicsWorker = null;
+  for (const spectator of Object.values(room.spectators)) {
+    spectator.socket.roomId = null;
+    spectator.socket.spectating = false;
+    send(spectator.socket, 'spectate:end', { roomId, reason: 'closed' });
   }
 
   delete state.rooms[roomId];
@@ -253,11 +730,56 @@ function cleanupRoom(roomId, playerId) {
 
 
 
-function startPregameCountdown(roomId, seconds = 10) {
+// Re-check the lobby policy after anything that can change it (join, leave,
+// ready toggle, wait deadline): start or cancel the pregame countdown and tell
+// clients what the room is waiting for.
+function updateLobby(roomId) {
+  const room = getRoom(roomId);
+  if (!room || (room.phase !== 'lobby' && room.phase !== 'pregame')) return;
+
+  const players = Object.values(room.players);
+  const policy = room.lobbyPolicy;
+  const now = Date.now();
+
+  if (room.lobbyOpenedAt === null && players.length > 0) {
+    room.lobbyOpenedAt = now;
+    if (policy.maxWaitMs > 0) {
+      room.lobbyTimer = setTimeout(() => {
+        room.lobbyTimer = null;
+        updateLobby(roomId);
+      }, policy.maxWaitMs);
+    }
+  }
+
+  const status = evaluateLobby({
+    playerCount: players.length,
+    readyCount: players.filter(p => p.ready).length,
+    openedAt: room.lobbyOpenedAt,
+    now,
+  }, policy);
+
+  if (room.phase === 'lobby' && status.startReason) {
+    startPregameCountdown(roomId, policy.countdownSeconds, status.startReason);
+  } else if (room.phase === 'pregame' && !status.startReason && room.pregameReason !== 'forced') {
+    cancelPregameCountdown(roomId, status.waitingFor);
+  }
+
+  broadcast(roomId, 'lobby:status', {
+    ...status,
+    waitingFor: room.phase === 'pregame' ? 'countdown' : status.waitingFor,
+    startReason: room.phase === 'pregame' ? room.pregameReason : null,
+    countdownEndsAt: room.phase === 'pregame'
+      ? room.pregameTimerStart + room.pregameDuration * 1000
+      : null,
+  });
+}
+
+function startPregameCountdown(roomId, seconds = 10, reason = 'forced') {
   const room = getRoom(roomId);
   if (!room || room.phase !== 'lobby') return;
   
-  room.phase = 'pregame';
+  setRoomPhase(room, 'pregame');
+  room.pregameReason = reason;
   let t = seconds;
 
   room.pregameTimerStart = Date.now();
@@ -279,11 +801,26 @@ function startPregameCountdown(roomId, seconds = 10) {
   broadcastRoomState(roomId);
 }
 
+function cancelPregameCountdown(roomId, reason) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'pregame') return;
+
+  clearInterval(room.pregameTimer);
+  room.pregameTimer = null;
+  room.pregameReason = null;
+  setRoomPhase(room, 'lobby');
+  broadcast(roomId, 'pregame:cancel', { reason });
+  broadcastRoomState(roomId);
+}
+
 function startRaceCountdown(roomId, seconds = 5) {
   const room = getRoom(roomId);
   if (!room) return;
 
-  room.phase = 'racecountdown';
+  clearTimeout(room.lobbyTimer);
+  room.lobbyTimer = null;
+
+  setRoomPhase(room, 'racecountdown');
   let t = seconds;
 
   broadcast(roomId, 'racecountdown:tick', { seconds: t });
@@ -305,154 +842,437 @@ function startRace(roomId) {
   const room = getRoom(roomId);
   if (!room) return;
 
-  room.phase = 'racing';
+  // The worker releases the ships and starts counting laps
+  setRoomPhase(room, 'racing');
   room.raceStartAt = Date.now();
-  broadcast(roomId, 'race:start', { startedAt: room.raceStartAt });
+  // Idle timeouts count from the start signal
+  for (const p of Object.values(room.players)) p.lastInputAt = room.raceStartAt;
+  room.raceTrace = createRaceTrace();
+  room.firstFinishAt = null;
+  scheduleRaceEnd(roomId);
+  clearInterval(room.standingsTimer);
+  room.standingsTimer = setInterval(() => broadcastStandings(roomId), 1000 / STANDINGS_RATE_HZ);
+  broadcast(roomId, 'race:start', { startedAt: room.raceStartAt, endsAt: room.raceDeadline?.endsAt ?? null });
   broadcastRoomState(roomId);
 }
 
-function endRace(roomId) {
+// Mirror the worker's lap/progress onto room players for standings
+function applyProgress(roomId, physicsState) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing' || !physicsState) return;
+  for (const id in physicsState) {
+    const p = room.players[id];
+    if (!p || p.finishedAt) continue;
+    p.progress = physicsState[id].progress;
+  }
+}
+
+function broadcastStandings(roomId) {
+  const room = getRoom(roomId);
+  if (!room || !room.raceTrace) return;
+
+  const now = Date.now();
+  const players = Object.values(room.players);
+  const front = players.reduce((max, p) => Math.max(max, p.progress ?? -Infinity), -Infinity);
+  if (Number.isFinite(front)) recordRaceFront(room.raceTrace, front, now);
+
+  const standings = computeStandings(players, room.raceTrace, now);
+  for (const entry of standings) room.players[entry.id].position = entry.position;
+  broadcast(roomId, 'race:standings', { standings });
+}
+
+// Lap and finish events come from the physics worker's checkpoint tracking
+function onPlayerLap(roomId, { playerId, lap, laps }) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing') return;
+  const p = room.players[playerId];
+  if (!p) return;
+
+  p.lap = lap;
+  broadcast(roomId, 'player:lap', { id: playerId, lap, laps });
+}
+
+function onPlayerFinished(roomId, playerId) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing') return;
+  const p = room.players[playerId];
+  if (!p || p.finishedAt) return;
+
+  p.finishedAt = Date.now();
+  p.progress = p.lap;
+  p.score = (p.score || 0) + 1;
+  broadcast(roomId, 'player:finished', {
+    id: playerId,
+    finishedAt: p.finishedAt,
+    raceTime: p.finishedAt - room.raceStartAt,
+  });
+
+  const allFinished = Object.values(room.players).every(pl => pl.finishedAt);
+  if (allFinished) {
+    endRace(roomId);
+    return;
+  }
+
+  // The first finisher starts the clock on everyone still racing
+  if (!room.firstFinishAt) {
+    room.firstFinishAt = p.finishedAt;
+    scheduleRaceEnd(roomId);
+    if (FINISH_WINDOW_SECONDS > 0) {
+      broadcast(roomId, 'race:finishWindow', {
+        id: playerId,
+        endsAt: room.raceDeadline.endsAt,
+        seconds: Math.ceil((room.raceDeadline.endsAt - Date.now()) / 1000),
+      });
+    }
+  }
+}
+
+// (Re)arm the timer that cuts the race off for anyone who has not finished
+function scheduleRaceEnd(roomId) {
   const room = getRoom(roomId);
   if (!room) return;
 
-  room.phase = 'finished';
-  broadcast(roomId, 'race:end', {});
+  clearTimeout(room.raceEndTimer);
+  room.raceEndTimer = null;
+  room.raceDeadline = raceDeadline({
+    raceStartAt: room.raceStartAt,
+    firstFinishAt: room.firstFinishAt,
+    timeLimitMs: RACE_TIME_LIMIT_SECONDS * 1000,
+    finishWindowMs: FINISH_WINDOW_SECONDS * 1000,
+  });
+  if (!room.raceDeadline) return;
+
+  const { endsAt, reason } = room.raceDeadline;
+  room.raceEndTimer = setTimeout(() => {
+    room.raceEndTimer = null;
+    log(`Race in room ${roomId} cut off (${reason})`, roomId);
+    endRace(roomId, reason);
+  }, Math.max(0, endsAt - Date.now()));
+}
+
+// event is 'exit', 'penalty' (action 'slow' or 'reset') or 'return'; time is the
+// player's total seconds outside the track corridor this race
+function onPlayerOutOfBounds(roomId, { playerId, event, action, time }) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing') return;
+  const p = room.players[playerId];
+  if (!p) return;
+
+  p.outOfBoundsTime = Math.round(time * 1000) / 1000;
+  broadcast(roomId, 'player:outOfBounds', { id: playerId, event, action, outOfBoundsTime: p.outOfBoundsTime });
   broadcastRoomState(roomId);
 }
 
-wss.on('connection', (ws) => {
-  const playerId = uuidv4();
-  ws.playerId = playerId;
+// reason is 'manual' (the player's respawn message) or 'stuck'; gate is -1 for the grid
+function onPlayerRespawned(roomId, { playerId, reason, gate, penaltySeconds, invulnerableSeconds }) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing' || !room.players[playerId]) return;
+  broadcast(roomId, 'player:respawn', { id: playerId, reason, gate, penaltySeconds, invulnerableSeconds });
+}
 
-  send(ws, 'connected', { playerId });
-  log(`Player connected: ${playerId}`);
+// Sent once per impact, when two ships first touch
+function onShipCollision(roomId, { playerIds, impactSpeed }) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing') return;
+  broadcast(roomId, 'player:collision', { ids: playerIds, impactSpeed: Math.round(impactSpeed * 100) / 100 });
+}
+
+// effect lasts `seconds`; the item is gone until it respawns
+function onItemCollected(roomId, { playerId, itemId, kind, effect, seconds }) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing') return;
+  broadcast(roomId, 'item:collected', { id: playerId, itemId, kind, effect, seconds });
+}
+
+// The race is over: final standings, then results and voting on what comes next.
+// reason is 'finished' (everyone still here finished), 'finishWindow' or 'timeLimit'.
+function endRace(roomId, reason = 'finished') {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'racing') return;
+
+  setRoomPhase(room, 'results');
+  clearInterval(room.standingsTimer);
+  clearTimeout(room.raceEndTimer);
+  room.standingsTimer = null;
+  room.raceEndTimer = null;
+  room.raceDeadline = null;
+  broadcastStandings(roomId);
+  broadcast(roomId, 'race:end', { reason });
+
+  const now = Date.now();
+  room.results = computeResults(Object.values(room.players), room.raceTrace, room.raceStartAt, now);
+  for (const result of room.results) room.players[result.id].dnf = result.dnf;
+  room.votes = {};
+  room.resultsEndsAt = now + RESULTS_SECONDS * 1000;
+  room.resultsTimer = setTimeout(() => {
+    room.resultsTimer = null;
+    updateVotes(roomId, { final: true });
+  }, RESULTS_SECONDS * 1000);
+
+  broadcast(roomId, 'race:results', { results: room.results, votingEndsAt: room.resultsEndsAt });
+  broadcastRoomState(roomId);
+}
+
+// Broadcast the running tally and, once it is decided, reset the room
+function updateVotes(roomId, { final = false } = {}) {
+  const room = getRoom(roomId);
+  if (!room || room.phase !== 'results') return;
+
+  const tally = tallyVotes(room.votes, Object.keys(room.players), { final });
+  broadcast(roomId, 'vote:update', {
+    cast: tally.cast,
+    voters: tally.voters,
+    options: tally.options.map(o => ({ choice: o.choice, stageId: o.stage?.stageId ?? null, votes: o.votes })),
+    votingEndsAt: room.resultsEndsAt,
+  });
+  if (tally.outcome) resetRoom(roomId, tally.outcome.stage);
+}
+
+// Back to the lobby with the same players: fresh worker, timers and race state.
+// stage switches the room to new stage params (null keeps the current stage).
+function resetRoom(roomId, stage = null) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  clearRoomTimers(room);
+  stopWorker(room);
+
+  const stageChanged = !!stage && stageKey(stage) !== room.stageKey;
+  if (stageChanged) {
+    room.stage = stage.stageId || DEFAULT_STAGE;
+    room.stageKey = stageKey(stage);
+    room.fbmParams = stage.fbmParams || null;
+    room.curvePoints = stage.curvePoints || null;
+    room.drafting = stage.drafting || null;
+    room.items = placeItems(buildTrack(room.curvePoints));
+  }
+
+  room.phase = 'lobby';
+  room.lobbyOpenedAt = null;
+  room.pregameReason = null;
+  room.raceStartAt = null;
+  room.raceTrace = null;
+  room.firstFinishAt = null;
+  room.raceDeadline = null;
+  room.results = null;
+  room.votes = {};
+  room.resultsEndsAt = null;
+  room.lastSnapshot = null;
+  for (const p of Object.values(room.players)) {
+    p.ready = false;
+    p.lap = 0;
+    p.progress = 0;
+    p.finishedAt = null;
+    p.dnf = false;
+    p.outOfBoundsTime = 0;
+  }
+
+  startWorker(room);
+  for (const p of Object.values(room.players)) addPlayerToWorker(room, p);
+  assignStartPositions(roomId);
+
+  broadcast(roomId, 'room:reset', {
+    stageChanged,
+    stage: room.stage,
+    fbmParams: room.fbmParams,
+    curvePoints: room.curvePoints,
+    items: room.items,
+  });
+  log(`Room ${roomId} reset to lobby${stageChanged ? ` on stage ${room.stageKey}` : ''}`, roomId);
+  broadcastRoomState(roomId);
+  updateLobby(roomId);
+}
+
+wss.on('connection', (ws, req) => {
+  ws.playerId = uuidv4();
+  ws.session = createSession(ws);
+  // Binary snapshots are opt-in at handshake time: ws://host/?snapshot=binary
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  ws.snapshotFormat = query.get('snapshot') === 'binary' ? 'binary' : 'json';
+  ws.snapshotDivisor = 1;
+  ws.lastPongAt = Date.now();
+  ws.on('pong', () => recordPong(ws, Date.now()));
+
+  send(ws, 'connected', {
+    playerId: ws.playerId,
+    resumeToken: ws.session.token,
+    snapshotFormat: ws.snapshotFormat,
+  });
+  log(`Player connected: ${ws.playerId}`);
   
   ws.on('message', (msg) => {
     let data;
-    try { data = JSON.parse(msg); } catch { return; }
+    try {
+      data = JSON.parse(msg);
+    } catch {
+      sendError(ws, 'INVALID_JSON', 'Message is not valid JSON.');
+      return;
+    }
+    const check = validateClientMessage(data);
+    if (!check.ok) {
+      sendError(ws, check.code, check.message, typeof data?.type === 'string' ? data.type : null);
+      return;
+    }
     const { type, payload } = data;
+    // Read per message: a resume rebinds this socket to an earlier player ID
+    const playerId = ws.playerId;
+
+    if (type === 'resume') {
+      resumeSession(ws, payload?.token);
+      return;
+    }
 
-    if (type === 'join') {
-      const { name, fbmParams, curvePoints } = payload || {};
-
-      // ✅ Pass player info so player is added when room initializes
-      const room = getOrCreateOpenRoom({ playerId, name, fbmParams, curvePoints, ws });
-      const roomId = room.id;
-
-      ws.roomId = roomId;
-
-      // Only add player if not already created (e.g. room reused)
-      if (!room.players[playerId]) {
-        room.players[playerId] = { 
-          id: playerId,
-          name: name || 'anon',
-          socket: ws,
-          joinedAt: Date.now(),
-          ready: false,
-          score: 0,
-          outOfBoundsTime: 0
-        };
-
-        if (room.physicsWorker) {
-          room.physicsWorker.postMessage({
-            type: 'addPlayer',
-            playerId,
-            position: [0, 0, 0],
-            acceleration: 1.0,
-            pitchVelocity: 1.0,
-            rollVelocity: 1.0,
-            damping: 0.998,
-            playerSpeed: 1.0,
-            fbmParams: fbmParams || {},
-            curvePoints: curvePoints || [],
-          });
+    if (type === 'join' || type === 'room:create' || type === 'room:join') {
+      if (isInRoom(ws)) {
+        sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first.', type);
+        return;
+      }
+      const { name, stageId, fbmParams, curvePoints, drafting, code } = payload || {};
+      if (ws.spectating) stopSpectating(ws);
+
+      if (type === 'join') {
+        addPlayerToRoom(getOrCreateOpenRoom({ stageId, fbmParams, curvePoints, drafting }), ws, { name });
+      } else if (type === 'room:create') {
+        const room = createRoom({
+          stageId,
+          fbmParams,
+          curvePoints,
+          drafting,
+          isPrivate: true,
+          lobby: payload?.lobby,
+          snapshotRate: payload?.snapshotRate,
+        });
+        addPlayerToRoom(room, ws, { name });
+      } else {
+        const room = findRoomByCode(code);
+        if (!room) {
+          sendError(ws, 'ROOM_NOT_FOUND', `No room with code ${code}.`, type);
+        } else if (Object.keys(room.players).length >= MAX_PLAYERS_PER_ROOM) {
+          sendError(ws, 'ROOM_FULL', 'That room is full.', type);
+        } else if (room.phase !== 'lobby') {
+          sendError(ws, 'ROOM_IN_PROGRESS', 'That room is already racing.', type);
+        } else {
+          addPlayerToRoom(room, ws, { name });
         }
       }
+      return;
+    }
 
-      send(ws, 'joined', { playerId, roomId, fbmParams, curvePoints });
-      broadcastRoomState(roomId);
+    if (type === 'spectate') {
+      if (isInRoom(ws)) {
+        sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first.', type);
+        return;
+      }
+      if (!payload.roomId && !payload.code) {
+        sendError(ws, 'INVALID_PAYLOAD', 'payload needs a roomId or code', type);
+        return;
+      }
+      const room = payload.roomId ? getRoom(payload.roomId) : findRoomByCode(payload.code);
+      if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND', 'No such room.', type);
+      } else if (room.id !== ws.roomId && Object.keys(room.spectators).length >= MAX_SPECTATORS_PER_ROOM) {
+        sendError(ws, 'ROOM_FULL', 'That room has no spectator slots left.', type);
+      } else if (room.id !== ws.roomId) {
+        startSpectating(ws, room, { name: payload.name });
+      }
+      return;
     }
 
+    if (type === 'removed' && ws.spectating) {
+      stopSpectating(ws);
+      return;
+    }
 
     if (type === 'removed') {
-
-
-      const roomId = ws.roomId;
-      if (!roomId) return;
-      const room = getRoom(roomId);
-      if (!room) return;
-      const p = room.players[playerId];
-      if (!p) return;
-
-      
-      if (room.physicsWorker) {
-        room.physicsWorker.postMessage({ type: 'removePlayer', playerId });
-      }
-
-      delete room.players[playerId];
+      if (!isInRoom(ws)) return;
+      leaveRoom(ws.roomId, playerId);
       send(ws, 'removed', { playerId });
-      broadcastRoomState(roomId); 
+      return;
     }
 
     const roomId = ws.roomId;
     if (!roomId) return; // Ignore messages if player hasn't joined a room
+    if (ws.spectating) return; // Spectators only watch
 
     if (type === 'setReady') {
       const room = getRoom(roomId);
-      const p = room.players[playerId];
+      const p = room?.players[playerId];
       if (!p) return;
       p.ready = !!payload.ready;
       broadcastRoomState(roomId); 
-
-      // const players = Object.values(room.players);
-      // if (players.length >= 1 && players.every(pl => pl.ready) && room.phase === 'lobby') {
-      //   startPregameCountdown(roomId, 10); 
-      // }
+      updateLobby(roomId);
     }
 
     if (type === 'input') {
       const room = getRoom(roomId);
-      const p = room.players[playerId];
+      const p = room?.players[playerId];
       if (!p) return;
-      broadcast(roomId, 'input', { playerId: p.id, ...payload });
-
-      if (room.physicsWorker) {
-        room.physicsWorker.postMessage({
-          type: 'input',
-          playerId,
-          // include throttle and axis etc. — match worker.handleInput expectations:
-          throttle: payload.throttle,
-          inputAxis: payload.inputAxis, // { x, y } or whatever you send
-          // include other fields as needed
-        });
-      }
+      p.lastInputAt = Date.now();
+      broadcast(roomId, 'input', { ...payload, playerId: p.id });
+
+      postToWorker(room, {
+        type: 'input',
+        playerId,
+        // include throttle and axis etc. — match worker.handleInput expectations:
+        throttle: payload.throttle,
+        inputAxis: payload.inputAxis, // { x, y } or whatever you send
+        seq: payload.seq,
+        tick: payload.tick,
+        // include other fields as needed
+      });
     }
 
     if (type === 'config') {
-    const room = getRoom(roomId);
-    if (!room) return;
-    
-    // Pass config directly to the worker
-    if (room.physicsWorker) {
-        room.physicsWorker.postMessage({
-            type: 'config', 
-            playerId,
-            ...payload, 
-        });
+      const room = getRoom(roomId);
+      const p = room?.players[playerId];
+      if (!p) return;
+
+      // Pass config to the worker (fields already checked against the schema)
+      const config = {
+        playerSpeed: payload.playerSpeed,
+        acceleration: payload.acceleration,
+        pitchVelocity: payload.pitchVelocity,
+        rollVelocity: payload.rollVelocity,
+        mass: payload.mass,
+      };
+      p.config ??= {};
+      for (const key in config) if (config[key] !== undefined) p.config[key] = config[key];
+      postToWorker(room, { type: 'config', playerId, ...config });
     }
-}
 
-if (type === 'finish') {
-  const room = getRoom(roomId);
-  const p = room?.players[playerId];
-  if (!p) return;
-  p.finishedAt = Date.now();
-  p.score = (p.score || 0) + 1;
-  broadcast(roomId, 'player:finished', { id: playerId, finishedAt: p.finishedAt });
+    if (type === 'vote') {
+      const room = getRoom(roomId);
+      if (!room?.players[playerId]) return;
+      if (room.phase !== 'results') {
+        sendError(ws, 'INVALID_PHASE', 'Votes are only taken after a race.', type);
+        return;
+      }
+      if (payload.choice === 'stage') {
+        const { stageId, fbmParams, curvePoints, drafting } = payload;
+        if (!stageId && !curvePoints) {
+          sendError(ws, 'INVALID_PAYLOAD', 'A stage vote needs a stageId or curvePoints.', type);
+          return;
+        }
+        const stage = { stageId, fbmParams, curvePoints, drafting };
+        room.votes[playerId] = { choice: 'stage', stage, stageKey: stageKey(stage) };
+      } else {
+        room.votes[playerId] = { choice: 'rematch' };
+      }
+      updateVotes(roomId);
+      return;
+    }
 
-  const allFinished = Object.values(room.players).every(pl => pl.finishedAt);
-  if (allFinished) endRace(roomId);
-}
+    if (type === 'respawn') {
+      const room = getRoom(roomId);
+      if (!room?.players[playerId]) return;
+      // The worker ignores it outside a race or while a respawn is still in effect
+      postToWorker(room, { type: 'respawn', playerId });
+      return;
+    }
+
+    if (type === 'finish') {
+      // Finishing is detected by the physics worker; client claims are ignored
+      return;
+    }
 
     if (type === 'startNow' && process.env.ALLOW_FORCE_START === 'true') {
         startPregameCountdown(roomId, 3);
@@ -460,24 +1280,57 @@ if (type === 'finish') {
   });
 
   ws.on('close', () => {
-    const roomId = ws.roomId;
-    if (roomId) {
-      const room = getRoom(roomId);
-      if (room && Object.keys(room.players).length === 0) {
-        clearInterval(room.pregameTimer);
-        clearInterval(room.raceTimer);
-        delete state.rooms[roomId];
-        log(`Deleted empty room: ${roomId}`);
-      }
-      cleanupRoom(roomId, playerId);
+    if (ws.replaced) return;
+    if (ws.spectating) stopSpectating(ws);
+    if (isInRoom(ws) && RESUME_GRACE_MS > 0) {
+      holdSession(ws);
+    } else {
+      if (ws.roomId) leaveRoom(ws.roomId, ws.playerId);
+      endSession(ws.session);
     }
-
   });
 });
 
+// =================================================================================
+// #region LIVENESS
+// =================================================================================
+// Ping every socket each HEARTBEAT_INTERVAL_MS. Sockets that have not answered
+// within HEARTBEAT_TIMEOUT_MS are terminated, which runs the normal close path
+// (held for resume, then leave). Racers who send no input for
+// INPUT_IDLE_TIMEOUT_MS are removed from their room. The decisions live in
+// liveness.js.
+function checkLiveness() {
+  const now = Date.now();
+
+  wss.clients.forEach(ws => {
+    if (heartbeatExpired(ws, now, HEARTBEAT_TIMEOUT_MS)) {
+      if (isInRoom(ws)) broadcast(ws.roomId, 'player:timeout', { id: ws.playerId, reason: 'heartbeat' });
+      log(`Player ${ws.playerId} heartbeat timed out`);
+      ws.terminate();
+      return;
+    }
+    ws.lastPingAt = now;
+    ws.ping();
+    if (ws.roomId) adjustSnapshotRate(ws);
+  });
+
+  for (const room of Object.values(state.rooms)) {
+    for (const p of idlePlayers(room, now, INPUT_IDLE_TIMEOUT_MS)) {
+      broadcast(room.id, 'player:timeout', { id: p.id, reason: 'idle' });
+      log(`Player ${p.id} idle timed out`, room.id);
+      const ws = p.socket;
+      leaveRoom(room.id, p.id);
+      send(ws, 'removed', { playerId: p.id });
+    }
+  }
+}
+// #endregion
+
 app.get('/', (req, res) => res.send('Game server live'));
 
 export function startServer(port = PORT) {
+  const heartbeat = setInterval(checkLiveness, HEARTBEAT_INTERVAL_MS);
+  server.on('close', () => clearInterval(heartbeat));
   server.listen(port, () => {
     console.log(`Server listening on ${port}`);
     log(`Server listening`);
@@ -0,0 +1,207 @@
+// =================================================================================
+// #region BINARY SNAPSHOTS
+// =================================================================================
+// Compact encoding of the worker's stateUpdate for `physics:update`. Players are
+// identified by their room index (see `index` in room:update) instead of their ID.
+//
+// Layout (little-endian):
+//   header   u8 version | u8 flags | u16 playerCount | u32 tick | f64 serverTime
+//            f32 positionRange | f32 velocityRange
+//   player   u8 index
+//            i16 x3 position          (scaled by positionRange)
+//            u32    rotation          (smallest-three, 2 + 3 x 10 bits)
+//            i16 x3 velocity          (scaled by velocityRange)
+//            i16 x3 angularVelocity   (scaled by ANGULAR_RANGE)
+//            u8     lap
+//            f32    progress
+//            u32    ack               (last applied input seq)
+//            u8     inputDepth        (buffered inputs not yet applied)
+//            u8     draft             (slipstream level, 0..1 scaled to 0..255)
+//   items    u8 itemCount, then one bit per item id (LSB first): 1 = available
+export const SNAPSHOT_VERSION = 6;
+
+const HEADER_BYTES = 24;
+const PLAYER_BYTES = 34;
+const I16_MAX = 32767;
+const MIN_POSITION_RANGE = 512;
+const MIN_VELOCITY_RANGE = 1;
+const ANGULAR_RANGE = 4;
+const QUAT_BITS = 10;
+const QUAT_MAX = (1 << QUAT_BITS) - 1;
+const QUAT_RANGE = Math.SQRT1_2; // non-largest components lie in [-1/sqrt2, 1/sqrt2]
+
+function quantize(v, range) {
+  return Math.max(-I16_MAX, Math.min(I16_MAX, Math.round((v / range) * I16_MAX)));
+}
+
+function dequantize(q, range) {
+  return (q / I16_MAX) * range;
+}
+
+function maxAbs(entries, key) {
+  let max = 0;
+  for (const entry of entries) {
+    const v = entry[key];
+    max = Math.max(max, Math.abs(v[0]), Math.abs(v[1]), Math.abs(v[2]));
+  }
+  return max;
+}
+
+// Drop the largest component (recoverable from unit length) and pack the other
+// three in 10 bits each, with its index in the top two bits
+export function packQuaternion(q) {
+  let largest = 0;
+  for (let i = 1; i < 4; i++) {
+    if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+  }
+  const sign = q[largest] < 0 ? -1 : 1;
+  const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+
+  let packed = largest;
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue;
+    const v = (sign * q[i]) / length;
+    const n = Math.round(((v / QUAT_RANGE) * 0.5 + 0.5) * QUAT_MAX);
+    packed = (packed << QUAT_BITS) | Math.max(0, Math.min(QUAT_MAX, n));
+  }
+  return packed >>> 0;
+}
+
+export function unpackQuaternion(packed) {
+  const largest = packed >>> (QUAT_BITS * 3);
+  const q = [0, 0, 0, 0];
+  let sumSq = 0;
+  let shift = QUAT_BITS * 2;
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue;
+    const n = (packed >>> shift) & QUAT_MAX;
+    const v = ((n / QUAT_MAX) - 0.5) * 2 * QUAT_RANGE;
+    q[i] = v;
+    sumSq += v * v;
+    shift -= QUAT_BITS;
+  }
+  q[largest] = Math.sqrt(Math.max(0, 1 - sumSq));
+  return q;
+}
+
+// state: { [playerId]: { pos, rot, velocity, angularVelocity, lap, progress, ack, inputDepth, draft } }
+// indexOf: playerId -> room index (players without one are skipped)
+// items: availability of each track item, by item id
+export function encodeSnapshot(state, indexOf, { tick = 0, serverTime = 0, items = [] } = {}) {
+  const entries = [];
+  for (const id in state) {
+    const index = indexOf(id);
+    if (index === undefined || index === null) continue;
+    entries.push({ index, ...state[id] });
+  }
+
+  const positionRange = Math.max(MIN_POSITION_RANGE, maxAbs(entries, 'pos'));
+  const velocityRange = Math.max(MIN_VELOCITY_RANGE, maxAbs(entries, 'velocity'));
+
+  const itemCount = Math.min(255, items.length);
+  const itemBytes = 1 + Math.ceil(itemCount / 8);
+  const buffer = new ArrayBuffer(HEADER_BYTES + entries.length * PLAYER_BYTES + itemBytes);
+  const view = new DataView(buffer);
+  view.setUint8(0, SNAPSHOT_VERSION);
+  view.setUint8(1, 0);
+  view.setUint16(2, entries.length, true);
+  view.setUint32(4, tick >>> 0, true);
+  view.setFloat64(8, serverTime, true);
+  view.setFloat32(16, positionRange, true);
+  view.setFloat32(20, velocityRange, true);
+
+  let o = HEADER_BYTES;
+  for (const e of entries) {
+    view.setUint8(o, e.index); o += 1;
+    for (let i = 0; i < 3; i++) { view.setInt16(o, quantize(e.pos[i], positionRange), true); o += 2; }
+    view.setUint32(o, packQuaternion(e.rot), true); o += 4;
+    for (let i = 0; i < 3; i++) { view.setInt16(o, quantize(e.velocity[i], velocityRange), true); o += 2; }
+    for (let i = 0; i < 3; i++) { view.setInt16(o, quantize(e.angularVelocity[i], ANGULAR_RANGE), true); o += 2; }
+    view.setUint8(o, Math.max(0, Math.min(255, e.lap ?? 0))); o += 1;
+    view.setFloat32(o, e.progress ?? 0, true); o += 4;
+    view.setUint32(o, (e.ack ?? 0) >>> 0, true); o += 4;
+    view.setUint8(o, Math.min(255, e.inputDepth ?? 0)); o += 1;
+    view.setUint8(o, Math.round(Math.max(0, Math.min(1, e.draft ?? 0)) * 255)); o += 1;
+  }
+
+  view.setUint8(o, itemCount); o += 1;
+  for (let i = 0; i < itemCount; i++) {
+    if (items[i]) view.setUint8(o + (i >> 3), view.getUint8(o + (i >> 3)) | (1 << (i & 7)));
+  }
+  return buffer;
+}
+
+// Reference decoder (clients mirror this); accepts an ArrayBuffer or a typed array/Buffer
+export function decodeSnapshot(data) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+
+  const version = view.getUint8(0);
+  if (version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${version}`);
+  const count = view.getUint16(2, true);
+  const tick = view.getUint32(4, true);
+  const serverTime = view.getFloat64(8, true);
+  const positionRange = view.getFloat32(16, true);
+  const velocityRange = view.getFloat32(20, true);
+
+  const players = [];
+  let o = HEADER_BYTES;
+  for (let n = 0; n < count; n++) {
+    const index = view.getUint8(o); o += 1;
+    const pos = [];
+    for (let i = 0; i < 3; i++) { pos.push(dequantize(view.getInt16(o, true), positionRange)); o += 2; }
+    const rot = unpackQuaternion(view.getUint32(o, true)); o += 4;
+    const velocity = [];
+    for (let i = 0; i < 3; i++) { velocity.push(dequantize(view.getInt16(o, true), velocityRange)); o += 2; }
+    const angularVelocity = [];
+    for (let i = 0; i < 3; i++) { angularVelocity.push(dequantize(view.getInt16(o, true), ANGULAR_RANGE)); o += 2; }
+    const lap = view.getUint8(o); o += 1;
+    const progress = view.getFloat32(o, true); o += 4;
+    const ack = view.getUint32(o, true); o += 4;
+    const inputDepth = view.getUint8(o); o += 1;
+    const draft = view.getUint8(o) / 255; o += 1;
+    players.push({ index, pos, rot, velocity, angularVelocity, lap, progress, ack, inputDepth, draft });
+  }
+
+  const itemCount = view.getUint8(o); o += 1;
+  const items = [];
+  for (let i = 0; i < itemCount; i++) items.push((view.getUint8(o + (i >> 3)) & (1 << (i & 7))) !== 0);
+  return { version, tick, serverTime, players, items };
+}
+// #endregion
+
+// =================================================================================
+// #region SEND RATE
+// =================================================================================
+// The worker posts a room snapshot every N ticks of its 60 Hz simulation, so a
+// requested rate is rounded to the nearest 60 / N (25 Hz runs at 30 Hz).
+// Each client then receives every Nth room snapshot. That N backs off while the
+// socket is congested (send buffer backing up or high ping) and recovers once it
+// is healthy.
+const SIMULATION_HZ = 60;
+export const MAX_SNAPSHOT_DIVISOR = 4;
+export const CONGESTED_BUFFER_BYTES = 64 * 1024;
+const CONGESTED_RTT_MS = 300;
+const HEALTHY_BUFFER_BYTES = 4 * 1024;
+const HEALTHY_RTT_MS = 150;
+
+export function snapshotIntervalTicks(rate) {
+  return Math.max(1, Math.round(SIMULATION_HZ / rate));
+}
+
+// The rate snapshots actually go out at when `rate` is requested
+export function effectiveSnapshotRate(rate) {
+  return SIMULATION_HZ / snapshotIntervalTicks(rate);
+}
+
+export function nextSnapshotDivisor(divisor, { rtt = 0, bufferedAmount = 0 } = {}) {
+  if (bufferedAmount > CONGESTED_BUFFER_BYTES || rtt > CONGESTED_RTT_MS) {
+    return Math.min(MAX_SNAPSHOT_DIVISOR, divisor + 1);
+  }
+  if (bufferedAmount < HEALTHY_BUFFER_BYTES && rtt < HEALTHY_RTT_MS) {
+    return Math.max(1, divisor - 1);
+  }
+  return divisor;
+}
+// #endregion
@@ -0,0 +1,122 @@
+// =================================================================================
+// #region SPATIAL HASH
+// =================================================================================
+// Uniform-grid broad phase. Items are bucketed by the cell their position falls in,
+// and cells are hashed into a fixed table, so the grid is unbounded and sparse.
+// The hash is cleared and refilled every tick, and storage is preallocated and
+// reused, so neither allocates once capacity covers the item count. Queries return
+// insertion indices, so pair loops can take each pair once (j > i).
+const HASH_X = 73856093;
+const HASH_Y = 19349663;
+const HASH_Z = 83492791;
+
+export function createSpatialHash({ cellSize = 8, capacity = 64 } = {}) {
+  const hash = { cellSize, inverseCellSize: 1 / cellSize, count: 0, queryStamp: 0 };
+  allocate(hash, capacity);
+  return hash;
+}
+
+// Table size is a power of two at least twice the capacity to keep chains short
+function allocate(hash, capacity) {
+  let tableSize = 16;
+  while (tableSize < capacity * 2) tableSize *= 2;
+  hash.capacity = capacity;
+  hash.mask = tableSize - 1;
+  hash.heads = new Int32Array(tableSize).fill(-1);
+  hash.next = new Int32Array(capacity);
+  hash.positions = new Float64Array(capacity * 3);
+  hash.stamps = new Uint32Array(capacity);
+  hash.items = new Array(capacity).fill(null);
+}
+
+function cellBucket(hash, cx, cy, cz) {
+  return ((cx * HASH_X) ^ (cy * HASH_Y) ^ (cz * HASH_Z)) & hash.mask;
+}
+
+export function clearSpatialHash(hash) {
+  hash.heads.fill(-1);
+  hash.items.fill(null, 0, hash.count);
+  hash.count = 0;
+}
+
+// Add item at position ({ x, y, z }); returns its index. Grows (and reinserts
+// everything) only when the capacity is exceeded.
+export function insertSpatialHash(hash, item, position) {
+  if (hash.count === hash.capacity) grow(hash);
+
+  const index = hash.count++;
+  hash.items[index] = item;
+  hash.positions[index * 3] = position.x;
+  hash.positions[index * 3 + 1] = position.y;
+  hash.positions[index * 3 + 2] = position.z;
+  link(hash, index);
+  return index;
+}
+
+function link(hash, index) {
+  const s = hash.inverseCellSize;
+  const p = hash.positions;
+  const bucket = cellBucket(hash, Math.floor(p[index * 3] * s), Math.floor(p[index * 3 + 1] * s), Math.floor(p[index * 3 + 2] * s));
+  hash.next[index] = hash.heads[bucket];
+  hash.heads[bucket] = index;
+}
+
+function grow(hash) {
+  const { items, positions, count } = hash;
+  allocate(hash, hash.capacity * 2);
+  hash.positions.set(positions);
+  for (let i = 0; i < count; i++) {
+    hash.items[i] = items[i];
+    link(hash, i);
+  }
+}
+
+// Indices of items within radius of position, written into out (a reused array).
+// Returns how many were found. Each item is reported once even when several
+// cells share a bucket. A radius spanning more cells than there are items falls
+// back to checking every item.
+export function querySpatialHash(hash, position, radius, out) {
+  out.length = 0;
+  if (hash.queryStamp === 0xffffffff) {
+    hash.stamps.fill(0);
+    hash.queryStamp = 0;
+  }
+  const stamp = ++hash.queryStamp;
+  const s = hash.inverseCellSize;
+  const minX = Math.floor((position.x - radius) * s);
+  const minY = Math.floor((position.y - radius) * s);
+  const minZ = Math.floor((position.z - radius) * s);
+  const maxX = Math.floor((position.x + radius) * s);
+  const maxY = Math.floor((position.y + radius) * s);
+  const maxZ = Math.floor((position.z + radius) * s);
+  const radius2 = radius * radius;
+  const p = hash.positions;
+
+  const cells = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+  if (cells > hash.count) {
+    for (let i = 0; i < hash.count; i++) {
+      const dx = p[i * 3] - position.x;
+      const dy = p[i * 3 + 1] - position.y;
+      const dz = p[i * 3 + 2] - position.z;
+      if (dx * dx + dy * dy + dz * dz <= radius2) out.push(i);
+    }
+    return out.length;
+  }
+
+  for (let cx = minX; cx <= maxX; cx++) {
+    for (let cy = minY; cy <= maxY; cy++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        for (let i = hash.heads[cellBucket(hash, cx, cy, cz)]; i !== -1; i = hash.next[i]) {
+          if (hash.stamps[i] === stamp) continue;
+          hash.stamps[i] = stamp;
+          const dx = p[i * 3] - position.x;
+          const dy = p[i * 3 + 1] - position.y;
+          const dz = p[i * 3 + 2] - position.z;
+          if (dx * dx + dy * dy + dz * dz <= radius2) out.push(i);
+        }
+      }
+    }
+  }
+  return out.length;
+}
+// #endregion
@@ -0,0 +1,39 @@
+// =================================================================================
+// #region STAGE KEYS
+// =================================================================================
+// Rooms are matched by stage. A named stage keys on its ID; otherwise the key is a
+// hash of the terrain, track and tuning parameters, so two clients that generated
+// the same planet locally still end up together.
+import crypto from 'crypto';
+
+const KEY_PRECISION = 1e6;
+
+// JSON with sorted object keys and rounded numbers, so equal stages hash equally
+// regardless of property order or float noise
+export function canonicalize(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return 'null';
+    const rounded = Math.round(value * KEY_PRECISION) / KEY_PRECISION;
+    return JSON.stringify(Object.is(rounded, -0) ? 0 : rounded);
+  }
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Stage tuning such as drafting is part of the stage too: a named stage with
+// non-default tuning gets a suffix so it only matches the same tuning.
+export function stageKey({ stageId, fbmParams, curvePoints, drafting } = {}) {
+  if (typeof stageId === 'string' && stageId.length > 0) {
+    return drafting ? `id:${stageId}:${digest({ drafting }).slice(0, 8)}` : `id:${stageId}`;
+  }
+  return `hash:${digest({ fbmParams: fbmParams ?? null, curvePoints: curvePoints ?? null, drafting }).slice(0, 16)}`;
+}
+
+function digest(value) {
+  return crypto.createHash('sha1').update(canonicalize(value)).digest('hex');
+}
+// #endregion
@@ -0,0 +1,106 @@
+// =================================================================================
+// #region RACE TRACE
+// =================================================================================
+// The race trace records when the front of the field first reached each amount of
+// progress. A player's gap to the leader is how long ago the front was where the
+// player is now.
+export function createRaceTrace() {
+  return { progress: [], time: [] };
+}
+
+export function recordRaceFront(trace, progress, time) {
+  const n = trace.progress.length;
+  if (n > 0 && progress <= trace.progress[n - 1]) return;
+  trace.progress.push(progress);
+  trace.time.push(time);
+}
+
+// Interpolated time at which the front reached `progress`, or null if it never did
+export function timeAtProgress(trace, progress) {
+  const { progress: ps, time: ts } = trace;
+  const n = ps.length;
+  if (n === 0 || progress > ps[n - 1]) return null;
+  if (progress <= ps[0]) return ts[0];
+
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (ps[mid] <= progress) lo = mid;
+    else hi = mid;
+  }
+  const alpha = (progress - ps[lo]) / (ps[hi] - ps[lo]);
+  return ts[lo] + (ts[hi] - ts[lo]) * alpha;
+}
+// #endregion
+
+// =================================================================================
+// #region STANDINGS
+// =================================================================================
+// players: [{ id, name, lap, progress, finishedAt }]
+// Finished players rank by finish time, everyone else by track progress.
+export function computeStandings(players, trace, now) {
+  const ranked = [...players].sort((a, b) => {
+    if (a.finishedAt && b.finishedAt) return a.finishedAt - b.finishedAt;
+    if (a.finishedAt) return -1;
+    if (b.finishedAt) return 1;
+    return (b.progress ?? 0) - (a.progress ?? 0);
+  });
+
+  const leader = ranked[0];
+  return ranked.map((p, i) => {
+    let gap = 0;
+    if (i > 0) {
+      if (p.finishedAt) {
+        gap = p.finishedAt - leader.finishedAt;
+      } else {
+        const reachedAt = timeAtProgress(trace, p.progress ?? 0);
+        gap = reachedAt === null ? null : Math.max(0, now - reachedAt);
+      }
+    }
+    return {
+      id: p.id,
+      name: p.name,
+      position: i + 1,
+      lap: p.lap ?? 0,
+      progress: p.progress ?? 0,
+      gap,
+      finished: !!p.finishedAt,
+    };
+  });
+}
+// #endregion
+
+// =================================================================================
+// #region RESULTS
+// =================================================================================
+// Final classification once the race is over. Anyone who did not finish is a DNF,
+// ranked behind the finishers by how far they got.
+export function computeResults(players, trace, raceStartAt, now) {
+  const byId = new Map(players.map(p => [p.id, p]));
+  return computeStandings(players, trace, now).map(entry => {
+    const { finishedAt } = byId.get(entry.id);
+    return {
+      id: entry.id,
+      name: entry.name,
+      position: entry.position,
+      lap: entry.lap,
+      raceTime: finishedAt ? finishedAt - raceStartAt : null,
+      gap: entry.finished ? entry.gap : null,
+      dnf: !entry.finished,
+    };
+  });
+}
+
+// When an unfinished race is cut off: timeLimitMs after the start, or
+// finishWindowMs after the first finisher, whichever comes first. 0 disables
+// either limit. Returns { endsAt, reason } or null when nothing applies.
+export function raceDeadline({ raceStartAt, firstFinishAt = null, timeLimitMs = 0, finishWindowMs = 0 }) {
+  const deadlines = [];
+  if (timeLimitMs > 0) deadlines.push({ endsAt: raceStartAt + timeLimitMs, reason: 'timeLimit' });
+  if (firstFinishAt && finishWindowMs > 0) {
+    deadlines.push({ endsAt: firstFinishAt + finishWindowMs, reason: 'finishWindow' });
+  }
+  return deadlines.reduce((first, d) => (!first || d.endsAt < first.endsAt ? d : first), null);
+}
+// #endregion
@@ -0,0 +1,249 @@
+// =================================================================================
+// #region TRACK
+// =================================================================================
+// Arc-length view of a race curve given as an array of [x, y, z] points.
+// Closed loops either repeat the first point at the end (three.js getPoints on a
+// closed curve) or end within about one segment of it.
+import { Vector3 } from './math.js';
+
+const CLOSE_GAP_FACTOR = 1.5;
+
+export function buildTrack(points, { closed } = {}) {
+  if (!Array.isArray(points) || points.length < 2) return null;
+
+  const n = points.length;
+  const first = points[0];
+  const last = points[n - 1];
+  const gap = Math.hypot(last[0] - first[0], last[1] - first[1], last[2] - first[2]);
+
+  let openLength = 0;
+  for (let i = 1; i < n; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    openLength += Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+  }
+  const meanSegment = openLength / (n - 1);
+
+  const isClosed = closed ?? (n > 2 && gap <= meanSegment * CLOSE_GAP_FACTOR);
+  // Append the first point when a loop does not already repeat it
+  const appendFirst = isClosed && gap > 1e-6;
+  const vertexCount = appendFirst ? n + 1 : n;
+
+  const vertices = new Float64Array(vertexCount * 3);
+  for (let i = 0; i < n; i++) {
+    vertices[i * 3] = points[i][0];
+    vertices[i * 3 + 1] = points[i][1];
+    vertices[i * 3 + 2] = points[i][2];
+  }
+  if (appendFirst) {
+    vertices[n * 3] = first[0];
+    vertices[n * 3 + 1] = first[1];
+    vertices[n * 3 + 2] = first[2];
+  }
+
+  const segments = vertexCount - 1;
+  const cumulative = new Float64Array(vertexCount);
+  for (let i = 1; i < vertexCount; i++) {
+    const j = i * 3;
+    cumulative[i] = cumulative[i - 1] + Math.hypot(
+      vertices[j] - vertices[j - 3],
+      vertices[j + 1] - vertices[j - 2],
+      vertices[j + 2] - vertices[j - 1],
+    );
+  }
+
+  return {
+    closed: isClosed,
+    vertices,
+    segments,
+    cumulative,
+    length: cumulative[segments],
+  };
+}
+
+// Wrap (closed) or clamp (open) a curve parameter into [0, 1]
+export function normalizeTrackParam(track, t) {
+  if (track.closed) return t - Math.floor(t);
+  return Math.min(Math.max(t, 0), 1);
+}
+
+// Segment index containing arc length s (binary search over cumulative lengths)
+function segmentAt(track, s) {
+  const { cumulative, segments } = track;
+  let lo = 0;
+  let hi = segments - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (cumulative[mid] <= s) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Write the position and unit tangent at curve parameter t into outPos / outTangent
+export function sampleTrack(track, t, outPos = new Vector3(), outTangent = null) {
+  const s = normalizeTrackParam(track, t) * track.length;
+  const i = segmentAt(track, s);
+  const v = track.vertices;
+  const j = i * 3;
+  const segLength = track.cumulative[i + 1] - track.cumulative[i];
+  const alpha = segLength > 0 ? (s - track.cumulative[i]) / segLength : 0;
+
+  const dx = v[j + 3] - v[j];
+  const dy = v[j + 4] - v[j + 1];
+  const dz = v[j + 5] - v[j + 2];
+
+  outPos.set(v[j] + dx * alpha, v[j + 1] + dy * alpha, v[j + 2] + dz * alpha);
+  if (outTangent) outTangent.set(dx, dy, dz).normalize();
+  return outPos;
+}
+
+// Pose of a ship sitting on the track at t: { position, forward, up } with up
+// radial from the planet centre (see surfaceUp). Allocates; not for per-tick use.
+export function trackPose(track, t) {
+  const position = new Vector3();
+  const forward = new Vector3();
+  sampleTrack(track, t, position, forward);
+  return { position, forward, up: surfaceUp(position, forward) };
+}
+
+// Closest point on the track to p. Writes { t, distance, segment } into out.
+// With a hint segment only hint ± window segments are searched, which keeps the
+// per-tick cost flat and stops a ship snapping to a nearby crossing of the track.
+export function projectOntoTrack(track, p, out, hint = -1, window = 8) {
+  const v = track.vertices;
+  const segments = track.segments;
+  const fullScan = hint < 0 || window * 2 + 1 >= segments;
+  const first = fullScan ? 0 : hint - window;
+  const count = fullScan ? segments : window * 2 + 1;
+
+  let bestDist2 = Infinity;
+  let bestSegment = 0;
+  let bestAlpha = 0;
+
+  for (let k = 0; k < count; k++) {
+    let i = first + k;
+    if (!fullScan) {
+      if (track.closed) i = ((i % segments) + segments) % segments;
+      else if (i < 0 || i >= segments) continue;
+    }
+    const j = i * 3;
+    const ax = v[j], ay = v[j + 1], az = v[j + 2];
+    const dx = v[j + 3] - ax, dy = v[j + 4] - ay, dz = v[j + 5] - az;
+    const len2 = dx * dx + dy * dy + dz * dz;
+    let alpha = len2 > 0 ? ((p.x - ax) * dx + (p.y - ay) * dy + (p.z - az) * dz) / len2 : 0;
+    alpha = Math.min(Math.max(alpha, 0), 1);
+
+    const ex = ax + dx * alpha - p.x;
+    const ey = ay + dy * alpha - p.y;
+    const ez = az + dz * alpha - p.z;
+    const dist2 = ex * ex + ey * ey + ez * ez;
+    if (dist2 < bestDist2) {
+      bestDist2 = dist2;
+      bestSegment = i;
+      bestAlpha = alpha;
+    }
+  }
+
+  const c = track.cumulative;
+  const s = c[bestSegment] + (c[bestSegment + 1] - c[bestSegment]) * bestAlpha;
+  const t = track.length > 0 ? s / track.length : 0;
+  out.t = track.closed && t >= 1 ? t - 1 : t;
+  out.distance = Math.sqrt(bestDist2);
+  out.segment = bestSegment;
+  return out;
+}
+// #endregion
+
+// =================================================================================
+// #region CHECKPOINTS
+// =================================================================================
+// Ordered gates along the curve. Gate 0 sits on the start line (t = 0); on an
+// open curve the last gate sits on the finish line (t = 1).
+export function buildCheckpoints(track, count, radius) {
+  const gates = [];
+  if (!track || count < 2) return gates;
+
+  const spacing = track.closed ? count : count - 1;
+  for (let i = 0; i < count; i++) {
+    const position = new Vector3();
+    const normal = new Vector3();
+    const t = i / spacing;
+    sampleTrack(track, t, position, normal);
+    gates.push({ index: i, t, position, normal, radius });
+  }
+  return gates;
+}
+
+// True when the step prev -> curr passes through the gate disc in the forward
+// direction. prev/curr are any { x, y, z }; no allocations.
+export function crossesGate(gate, prev, curr) {
+  const { position: g, normal: n } = gate;
+  const dPrev = (prev.x - g.x) * n.x + (prev.y - g.y) * n.y + (prev.z - g.z) * n.z;
+  const dCurr = (curr.x - g.x) * n.x + (curr.y - g.y) * n.y + (curr.z - g.z) * n.z;
+  if (!(dPrev <= 0 && dCurr > 0)) return false;
+
+  const a = dPrev / (dPrev - dCurr);
+  const cx = prev.x + (curr.x - prev.x) * a - g.x;
+  const cy = prev.y + (curr.y - prev.y) * a - g.y;
+  const cz = prev.z + (curr.z - prev.z) * a - g.z;
+  return cx * cx + cy * cy + cz * cz <= gate.radius * gate.radius;
+}
+// #endregion
+
+// =================================================================================
+// #region START GRID
+// =================================================================================
+// Staggered two-wide grid behind t = 0. Slot 0 is pole (left lane, front row) and
+// the right lane sits half a row further back. Lanes are offset sideways from the
+// track direction, level with the surface; the surface normal is the radial
+// direction from the planet centre at the origin.
+export const GRID_DEFAULTS = { setback: 4, rowSpacing: 8, laneSpacing: 6 };
+
+export function buildStartGrid(track, count, options = {}) {
+  const { setback, rowSpacing, laneSpacing } = { ...GRID_DEFAULTS, ...options };
+  const slots = [];
+  if (!track) return slots;
+
+  const start = new Vector3();
+  const startTangent = new Vector3();
+  sampleTrack(track, 0, start, startTangent);
+
+  for (let i = 0; i < count; i++) {
+    const side = i % 2 === 0 ? -1 : 1;
+    const back = setback + Math.floor(i / 2) * rowSpacing + (side > 0 ? rowSpacing / 2 : 0);
+
+    const position = new Vector3();
+    const forward = new Vector3();
+    if (track.closed) {
+      sampleTrack(track, -back / track.length, position, forward);
+    } else {
+      // Open tracks have nothing behind the start, so extend the first segment
+      forward.copy(startTangent);
+      position.copy(startTangent).multiplyScalar(-back).add(start);
+    }
+
+    const up = surfaceUp(position, forward);
+    // right = forward x up
+    const right = new Vector3(
+      forward.y * up.z - forward.z * up.y,
+      forward.z * up.x - forward.x * up.z,
+      forward.x * up.y - forward.y * up.x,
+    ).normalize();
+    position.add(right.multiplyScalar((side * laneSpacing) / 2));
+
+    slots.push({ position, forward, up });
+  }
+  return slots;
+}
+
+// Radial up at p, made perpendicular to forward (world up if that degenerates)
+function surfaceUp(p, forward) {
+  const up = p.length() > 1e-6 ? p.clone().normalize() : new Vector3(0, 1, 0);
+  up.sub(forward.clone().multiplyScalar(up.dot(forward)));
+  if (up.length() < 1e-6) {
+    up.set(0, 1, 0).sub(forward.clone().multiplyScalar(forward.y));
+  }
+  return up.normalize();
+}
+// #endregion
@@ -0,0 +1,35 @@
+// =================================================================================
+// #region POST-RACE VOTES
+// =================================================================================
+// After a race each player votes for a rematch or for a stage. Votes are
+// { choice: 'rematch' } or { choice: 'stage', stage, stageKey }; stage votes with
+// the same key count together. The vote is decided once an option has a majority,
+// everyone has voted, or voting closes (final). A tie goes to the rematch, then to
+// the stage that was proposed first.
+export function tallyVotes(votes, voterIds, { final = false } = {}) {
+  const options = new Map([['rematch', { choice: 'rematch', stage: null, votes: 0 }]]);
+  let cast = 0;
+  for (const id of voterIds) {
+    const vote = votes[id];
+    if (!vote) continue;
+    cast++;
+    const key = vote.choice === 'stage' ? vote.stageKey : 'rematch';
+    if (!options.has(key)) options.set(key, { choice: 'stage', stage: vote.stage, votes: 0 });
+    options.get(key).votes++;
+  }
+
+  let leader = options.get('rematch');
+  for (const option of options.values()) {
+    if (option.votes > leader.votes) leader = option;
+  }
+
+  const voters = voterIds.length;
+  const decided = final || leader.votes > voters / 2 || (voters > 0 && cast === voters);
+  return {
+    cast,
+    voters,
+    options: [...options.values()],
+    outcome: decided ? leader : null,
+  };
+}
+// #endregion
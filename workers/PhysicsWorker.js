@@ -3,43 +3,18 @@
 import { parentPort } from 'worker_threads';
 import { terrainElevationRidged, terrainElevationFBM } from '../fbm.js';
 import { Vector3, Quaternion } from '../math.js';
+import { buildTrack, buildCheckpoints, buildStartGrid, crossesGate, projectOntoTrack, trackPose } from '../track.js';
+import { createInputBuffer, inputBufferDepth, pushInput, restartInputSeq, takeInput } from '../inputBuffer.js';
+import { snapshotIntervalTicks } from '../snapshot.js';
+import { REPLAY_CHECK_TICKS, REPLAY_VERSION } from '../replay.js';
+import { OUT_OF_BOUNDS_DEFAULTS, createBoundsState, updateBounds } from '../bounds.js';
+import { RESPAWN_DEFAULTS, createStuckTimer, lastPassedGate, updateStuckTimer } from '../respawn.js';
+import { capsuleFromBox, collideCapsules, resolveCollision } from '../collision.js';
+import { clearSpatialHash, createSpatialHash, insertSpatialHash, querySpatialHash } from '../spatialHash.js';
+import { applyEffect, createEffects, effectActive, itemEffect, speedMultiplier } from '../items.js';
+import { DRAFTING_DEFAULTS, draftMultiplier, inSlipstream, updateDraftLevel, wakeDirection } from '../drafting.js';
 
 // Utilities inside PhysicsWorker.js
-function getStartPoseFromCurve(points, distance = 0) {
-    const n = points.length;
-    const t = Math.min(Math.max(distance, 0), 1);
-    const index = t * (n - 1);
-    const i0 = Math.floor(index);
-    const i1 = Math.min(i0 + 1, n - 1);
-    const alpha = index - i0;
-
-    // Interpolated position
-    const p0 = points[i0];
-    const p1 = points[i1];
-    const position = [
-        p0[0] + (p1[0] - p0[0]) * alpha,
-        p0[1] + (p1[1] - p0[1]) * alpha,
-        p0[2] + (p1[2] - p0[2]) * alpha,
-    ];
-
-    // Tangent (forward direction)
-    const tangent = [
-        p1[0] - p0[0],
-        p1[1] - p0[1],
-        p1[2] - p0[2],
-    ];
-    const length = Math.hypot(tangent[0], tangent[1], tangent[2]);
-    tangent[0] /= length;
-    tangent[1] /= length;
-    tangent[2] /= length;
-
-    // Convert to quaternion: forward = [0,0,-1] rotated to tangent
-    // Simple implementation: assume up = [0,1,0]
-    const quat = lookRotation(tangent, [0, 1, 0]);
-
-    return { position, quaternion: quat };
-}
-
 // Helper to convert forward/up to quaternion (like THREE.Quaternion.setFromUnitVectors)
 function lookRotation(forward, up) {
     const z = [-forward[0], -forward[1], -forward[2]]; // Three.js looks along -Z
@@ -108,25 +83,56 @@ const isFiniteNum = (x) => Number.isFinite(x);
 // #region CONSTANTS & STATE
 // =================================================================================
 const FIXED_STEP = 1 / 60;
-const TICK_RATE_MS = FIXED_STEP * 1000;
-let interval = null;
-let running = false;
+const STEP_MS = FIXED_STEP * 1000;
+const MAX_CATCH_UP_STEPS = 5;       // steps per frame before the loop gives up on lost time
+const OVERRUN_REPORT_MS = 1000;     // at most one tickOverrun message per second
 const MAX_ANG = 2.0; // rad/s
 
 const playerRadius = 0.5;
+const SHIP_HALF_EXTENTS = new Vector3(1.0, 0.5, 2.0); // terrain OBB, and the capsule ships collide as
+const SHIP_CAPSULE = capsuleFromBox(SHIP_HALF_EXTENTS);
+const SHIP_REACH = 2 * (SHIP_CAPSULE.halfLength + SHIP_CAPSULE.radius); // centres closer than this may touch
+const SHIP_HASH_CELL = 8;
 
 let planetRadius = 0;
 let fbmParams = null;
 // let curvePoints = null;
 let restitution = 0.0;
 let slideFactor = 0.0;
+let shipRestitution = 0.5;   // Bounciness of ship-to-ship impacts
+let items = [];              // Track items from init (see items.js) with their availability
 
 const players = new Map(); // map of playerId -> state
-let physicsInterval = null;
 
 let curvePoints = null;       // Array of [x,y,z] points
-let startPositions = null;    // Precomputed start poses along the curve
-let nextStartIndex = 0;       // Tracks which start position to assign next
+let startGrid = [];           // Grid slots behind the start line (see track.js)
+const GRID_SLOTS = 16;
+
+let track = null;             // Arc-length view of curvePoints (see track.js)
+let checkpoints = [];         // Ordered gates along the track
+let totalLaps = 3;
+let checkpointCount = 16;
+let checkpointRadius = 40;
+let outOfBounds = { ...OUT_OF_BOUNDS_DEFAULTS }; // Corridor radius and penalty (see bounds.js)
+let respawnOptions = { ...RESPAWN_DEFAULTS };   // Respawn penalty and stuck detector (see respawn.js)
+let draftOptions = { ...DRAFTING_DEFAULTS };    // Slipstream cone and bonus for this stage (see drafting.js)
+
+let tick = 0;                 // Authoritative simulation step counter
+let phase = 'lobby';          // Room phase, forwarded by server.js
+const HELD_PHASES = new Set(['lobby', 'pregame', 'racecountdown']); // ships wait on the grid
+let loopTimer = null;         // Pending setTimeout of the fixed-step loop
+let lastFrameAt = 0;          // performance.now() of the previous frame
+let accumulator = 0;          // Unsimulated time, in ms
+let droppedSteps = 0;         // Steps skipped since the last overrun report
+let lastOverrunReportAt = 0;
+
+let recording = false;        // Record a replay (see replay.js) when init asks for one
+let replayLines = [];         // Recorded NDJSON lines not yet posted to the main thread
+const REPLAY_FLUSH_TICKS = 30;
+const RECORDED_MESSAGES = new Set(['addPlayer', 'removePlayer', 'config', 'phase', 'grid', 'respawn', 'resume']);
+let snapshotInterval = 2;     // Post a stateUpdate every N ticks (60 Hz / 2 = 30 Hz)
+let inputDelayTicks;          // Input buffer settings (undefined = inputBuffer.js defaults)
+let inputStaleTicks;
 
 //#endregion
 
@@ -143,6 +149,18 @@ const _tmpB = new Vector3();
 const _tmpCorner = new Vector3();
 const _closestCorner = new Vector3();
 const _obbResult = { distance: 0, normal: new Vector3(0, 1, 0) };
+const _projection = { t: 0, distance: 0, segment: 0 };
+const _capsuleA = { center: new Vector3(), axis: new Vector3(), ...SHIP_CAPSULE };
+const _capsuleB = { center: new Vector3(), axis: new Vector3(), ...SHIP_CAPSULE };
+const _contact = { normal: new Vector3(), depth: 0 };
+const shipHash = createSpatialHash({ cellSize: SHIP_HASH_CELL }); // every ship, rebuilt each tick
+const _neighbours = [];
+const _nearby = [];
+const _bodyA = { pos: null, velocity: null, mass: 1 };
+const _bodyB = { pos: null, velocity: null, mass: 1 };
+const _leaders = [];
+const _draftForward = new Vector3();
+const _leaderDirection = new Vector3();
 //#endregion
 
 // =================================================================================
@@ -231,21 +249,6 @@ function obbSignedDistanceWithNormal(center, halfExtents, orientation, out) {
 }
 // #endregion
 
-function start() {
-  if (running) return;
-  running = true;
-  interval = setInterval(() => {
-    // Simulate physics tick
-    parentPort.postMessage({ type: 'tick', timestamp: Date.now() });
-  }, TICK_RATE_MS);
-}
-
-function stop() {
-  running = false;
-  clearInterval(interval);
-  interval = null;
-}
-
 // =================================================================================
 // #region PHYSICS LOOP (allocation-free per-player updates)
 // =================================================================================
@@ -260,15 +263,18 @@ function updatePlayerPhysics(state) {
     const angularVelocity = state.angularVelocity;
 
 
+    updateDrafting(state);
+    const boost = speedMultiplier(state.effects, tick) * draftMultiplier(state.draft, draftOptions);
+
     const dt = FIXED_STEP;
-    const accel = state.accel;
+    const accel = state.accel * boost;
     const pitchVel = state.pitchVel;
     const rollVel = state.rollVel;
     const damping = state.damping;
     const throttle = state.throttle;
     const inputX = state.inputX;
     const inputY = state.inputY;
-    const currentPlayerSpeed = state.playerSpeed;
+    const currentPlayerSpeed = state.playerSpeed * speedPenalty(state) * boost;
 
     // --- REFACTORED ANGULAR VELOCITY AND ROTATION LOGIC ---
 
@@ -357,7 +363,7 @@ function updatePlayerPhysics(state) {
 
 
     // collision / signed distance — reuses _tmpA/_tmpB/_tmpCorner/_closestCorner/_obbResult
-    obbSignedDistanceWithNormal(pos, _tmpA.set(1.0, 0.5, 2.0), rot, _obbResult);
+    obbSignedDistanceWithNormal(pos, SHIP_HALF_EXTENTS, rot, _obbResult);
 
     const distance = _obbResult.distance;
     const normal = _obbResult.normal;
@@ -389,12 +395,40 @@ function updatePlayerPhysics(state) {
 }
 
 function updatePhysics() {
+  tick++;
+  // Ships wait on the grid before the start and stop once the race is over
+  const frozen = HELD_PHASES.has(phase) || phase === 'results';
+
   // iterate players and update each one (no allocations)
-  for (const [, state] of players) {
+  for (const [id, state] of players) {
+    if (frozen) continue;
     // log(null, 'Updating player physics for state: ' +JSON.stringify(state));
-    updatePlayerPhysics(state);
+    state.prevPos.copy(state.pos);
+    applyBufferedInputs(id, state);
+    // A respawned ship sits out its time penalty where it was put down
+    if (state.respawnHoldTicks > 0) state.respawnHoldTicks--;
+    else updatePlayerPhysics(state);
+    updateRaceProgress(id, state);
+    updateStuck(id, state);
+    updateOutOfBounds(id, state);
+    if (state.invulnerableTicks > 0) state.invulnerableTicks--;
+  }
+  if (!frozen) {
+    rebuildShipHash();
+    collideShips();
+    updateItems();
   }
 
+  if (recording) {
+    if (tick % REPLAY_CHECK_TICKS === 0) record({ type: 'check', tick, positions: playerPositions() });
+    if (tick % REPLAY_FLUSH_TICKS === 0) flushReplay();
+  }
+
+  // Snapshots go out every snapshotInterval ticks, not every step
+  if (tick % snapshotInterval === 0) postSnapshot();
+}
+
+function postSnapshot() {
   // produce aggregated state object (small allocations of arrays only for IPC — unavoidable here)
   const out = {};
   for (const [id, state] of players) {
@@ -403,44 +437,530 @@ function updatePhysics() {
       rot: [state.rot.x, state.rot.y, state.rot.z, state.rot.w],
       velocity: [state.velocity.x, state.velocity.y, state.velocity.z],
       angularVelocity: [state.angularVelocity.x, state.angularVelocity.y, state.angularVelocity.z],
+      lap: state.lap,
+      progress: state.progress,
+      ack: state.lastInputSeq,
+      inputDepth: inputBufferDepth(state.inputBuffer),
+      draft: state.draft,
     };
   }
 
-  parentPort?.postMessage({ type: 'stateUpdate', state: out });
+  const available = items.map(item => item.available);
+  parentPort?.postMessage({ type: 'stateUpdate', tick, serverTime: Date.now(), state: out, items: available });
+}
+
+function setSnapshotRate(rate) {
+  if (!(rate > 0)) return;
+  snapshotInterval = snapshotIntervalTicks(rate);
 }
 // #endregion
 
 // =================================================================================
-// #region MESSAGE HANDLING
+// #region SHIP COLLISIONS
+// =================================================================================
+// Once all ships have moved they go into shipHash (see spatialHash.js), the broad
+// phase for anything that looks for ships near a point. Pairs it turns up are
+// tested capsule against capsule (see collision.js). Respawning ships are ghosts
+// until their invulnerability ends. A collision event goes out when a pair first
+// touches, not on every step they stay in contact. Pairs are keyed by number from
+// the ships' indices so tracking contacts allocates nothing per step.
+let contacts = new Set();     // pairKey()s of ships touching after the last step
+let nextContacts = new Set();
+
+// Unique key for an unordered pair of ship indices
+function pairKey(a, b) {
+  const lo = Math.min(a, b);
+  const hi = Math.max(a, b);
+  return hi * (hi + 1) / 2 + lo;
+}
+
+// Lowest index no ship is using, so keys stay small as players come and go
+function freeShipIndex() {
+  let index = 0;
+  for (;;) {
+    let taken = false;
+    for (const [, state] of players) {
+      if (state.index === index) { taken = true; break; }
+    }
+    if (!taken) return index;
+    index++;
+  }
+}
+
+// A departing ship's index is reused, so its pairs must not linger as contacts
+function forgetContacts(index) {
+  for (const [, state] of players) contacts.delete(pairKey(index, state.index));
+}
+
+function setCapsule(capsule, state) {
+  capsule.center.copy(state.pos);
+  capsule.axis.set(0, 0, 1).applyQuaternion(state.rot).normalize();
+}
+
+function rebuildShipHash() {
+  clearSpatialHash(shipHash);
+  for (const [, state] of players) insertSpatialHash(shipHash, state, state.pos);
+}
+
+// Ship states with their centre within radius of position, written into out
+function nearbyShips(position, radius, out) {
+  querySpatialHash(shipHash, position, radius, _neighbours);
+  out.length = 0;
+  for (let k = 0; k < _neighbours.length; k++) out.push(shipHash.items[_neighbours[k]]);
+  return out.length;
+}
+
+// A shield makes a ship immovable, unless the other ship is shielded too
+function collisionBody(body, state, other) {
+  const shielded = effectActive(state.effects, 'shield', tick);
+  const otherShielded = effectActive(other.effects, 'shield', tick);
+  body.pos = state.pos;
+  body.velocity = state.velocity;
+  body.mass = shielded && !otherShielded ? Infinity : state.mass;
+  return body;
+}
+
+function collideShips() {
+  nextContacts.clear();
+  for (let i = 0; i < shipHash.count; i++) {
+    const a = shipHash.items[i];
+    if (a.invulnerableTicks > 0) continue;
+
+    querySpatialHash(shipHash, a.pos, SHIP_REACH, _neighbours);
+    for (let k = 0; k < _neighbours.length; k++) {
+      const j = _neighbours[k];
+      const b = shipHash.items[j];
+      if (j <= i || b.invulnerableTicks > 0) continue;
+      setCapsule(_capsuleA, a);
+      setCapsule(_capsuleB, b);
+      if (!collideCapsules(_capsuleA, _capsuleB, _contact)) continue;
+
+      const impactSpeed = resolveCollision(
+        collisionBody(_bodyA, a, b),
+        collisionBody(_bodyB, b, a),
+        _contact.normal,
+        _contact.depth,
+        shipRestitution,
+      );
+      const key = pairKey(a.index, b.index);
+      nextContacts.add(key);
+      if (impactSpeed > 0 && !contacts.has(key)) {
+        parentPort?.postMessage({ type: 'collision', tick, playerIds: [a.playerId, b.playerId], impactSpeed });
+      }
+    }
+  }
+  const swap = contacts;
+  contacts = nextContacts;
+  nextContacts = swap;
+}
+// #endregion
+
+// =================================================================================
+// #region ITEMS
+// =================================================================================
+// Boost pads and item boxes placed by the server (see items.js). An available
+// item goes to the first ship found overlapping it, then comes back respawnSeconds
+// later. Ships that have finished or are sitting out a respawn can't collect.
+function setItems(list) {
+  items = list.map(item => ({
+    ...item,
+    position: new Vector3(item.position[0], item.position[1], item.position[2]),
+    available: true,
+    respawnTick: 0,
+  }));
+}
+
+function resetItems() {
+  for (const item of items) item.available = true;
+}
+
+function updateItems() {
+  for (const item of items) {
+    if (!item.available) {
+      if (tick < item.respawnTick) continue;
+      item.available = true;
+    }
+
+    nearbyShips(item.position, item.radius, _nearby);
+    for (let k = 0; k < _nearby.length; k++) {
+      const state = _nearby[k];
+      if (state.finished || state.respawnHoldTicks > 0) continue;
+      collectItem(item, state);
+      break;
+    }
+  }
+}
+
+function collectItem(item, state) {
+  item.available = false;
+  item.respawnTick = tick + Math.round(item.respawnSeconds / FIXED_STEP);
+
+  const effect = itemEffect(item, tick);
+  const untilTick = applyEffect(state.effects, effect, tick, FIXED_STEP);
+  parentPort?.postMessage({
+    type: 'itemCollected',
+    tick,
+    itemId: item.id,
+    kind: item.kind,
+    playerId: state.playerId,
+    effect,
+    seconds: (untilTick - tick) * FIXED_STEP,
+  });
+}
+// #endregion
+
+// =================================================================================
+// #region DRAFTING
+// =================================================================================
+// A ship in the cone behind another one builds up draft (see drafting.js), which
+// raises its top speed and acceleration. Leaders come from shipHash as it stood
+// after the previous step; the cone itself is tested on current positions.
+// Respawning ships are ghosts and leave no slipstream.
+function updateDrafting(state) {
+  let drafting = false;
+  if (draftOptions.speedBonus > 0) {
+    _draftForward.set(0, 0, -1).applyQuaternion(state.rot).normalize();
+    nearbyShips(state.pos, draftOptions.range, _leaders);
+    for (let k = 0; k < _leaders.length; k++) {
+      const leader = _leaders[k];
+      if (leader === state || leader.invulnerableTicks > 0) continue;
+      if (!wakeDirection(leader.velocity, leader.playerSpeed, _leaderDirection)) continue;
+      if (inSlipstream(state.pos, _draftForward, leader.pos, _leaderDirection, draftOptions)) {
+        drafting = true;
+        break;
+      }
+    }
+  }
+  state.draft = updateDraftLevel(state.draft, drafting, FIXED_STEP, draftOptions);
+}
+// #endregion
+
+// =================================================================================
+// #region RACE PROGRESS
+// =================================================================================
+function setupTrack(points) {
+  track = buildTrack(points);
+  checkpoints = buildCheckpoints(track, checkpointCount, checkpointRadius);
+  startGrid = buildStartGrid(track, GRID_SLOTS);
+}
+
+// Spawn pose for a grid slot; without a track every ship spawns at the origin
+function placeOnGrid(state, slot) {
+  state.gridSlot = slot;
+  const pose = startGrid[slot % GRID_SLOTS];
+  if (!pose) {
+    state.spawnPos.set(0, 0, 0);
+    state.spawnRot.set(0, 0, 0, 1);
+    return;
+  }
+  const { position, forward, up } = pose;
+  state.spawnPos.copy(position);
+  state.spawnRot.set(...lookRotation([forward.x, forward.y, forward.z], [up.x, up.y, up.z]));
+}
+
+// slots: { [playerId]: slot } in the server's start order
+function setGrid(slots) {
+  for (const [id, state] of players) {
+    if (slots[id] === undefined) continue;
+    placeOnGrid(state, slots[id]);
+    if (HELD_PHASES.has(phase)) holdOnGrid(state);
+  }
+}
+
+function resetPlayerProgress(state) {
+  state.lap = 0;
+  state.nextCheckpoint = 0;
+  state.started = false;
+  state.finished = false;
+  state.trackSegment = -1;
+  state.bounds = createBoundsState();
+  state.stuck = createStuckTimer();
+  state.respawnHoldTicks = 0;
+  state.invulnerableTicks = 0;
+  state.effects = createEffects();
+  state.draft = 0;
+}
+
+function resetProgress() {
+  for (const [, state] of players) resetPlayerProgress(state);
+}
+
+// Laps count from the start signal; before it every ship waits at its spawn pose
+function setPhase(next) {
+  const previous = phase;
+  phase = next;
+  if (next === 'racing' && previous !== 'racing') {
+    resetProgress();
+    resetItems();
+  }
+  if (HELD_PHASES.has(next)) {
+    for (const [, state] of players) holdOnGrid(state);
+  }
+}
+
+function holdOnGrid(state) {
+  state.pos.copy(state.spawnPos);
+  state.prevPos.copy(state.spawnPos);
+  state.rot.copy(state.spawnRot);
+  state.velocity.set(0, 0, 0);
+  state.angularVelocity.set(0, 0, 0);
+  releaseControls(state);
+}
+
+// Zero the controls and discard buffered input so the ship coasts
+function releaseControls(state) {
+  state.throttle = 0;
+  state.inputX = 0;
+  state.inputY = 0;
+  state.inputBuffer.entries.length = 0;
+}
+
+// Gate 0 is the start line. On a loop, crossing it again after every other gate
+// completes a lap; on an open track the last gate is the finish line.
+function updateRaceProgress(playerId, state) {
+  if (state.finished || checkpoints.length === 0) return;
+
+  updateTrackProgress(state);
+
+  const index = state.nextCheckpoint;
+  if (!crossesGate(checkpoints[index], state.prevPos, state.pos)) return;
+
+  state.nextCheckpoint = (index + 1) % checkpoints.length;
+
+  const finishGate = track.closed ? 0 : checkpoints.length - 1;
+  if (index !== finishGate) return;
+  if (track.closed && !state.started) {
+    state.started = true;
+    return;
+  }
+
+  state.lap++;
+  const laps = track.closed ? totalLaps : 1;
+  parentPort?.postMessage({ type: 'lap', playerId, lap: state.lap, laps });
+
+  if (state.lap >= laps) {
+    state.finished = true;
+    state.progress = state.lap;
+    releaseControls(state);
+    parentPort?.postMessage({ type: 'finished', playerId, lap: state.lap });
+  }
+}
+
+// progress = completed laps + fraction of the current lap (negative while still
+// behind the start line). Gates and the projection can disagree for a tick around
+// the start line, so the fraction is pulled back into the sector the gates imply.
+function updateTrackProgress(state) {
+  projectOntoTrack(track, state.pos, _projection, state.trackSegment);
+  state.trackSegment = _projection.segment;
+  state.trackT = _projection.t;
+  state.trackDistance = _projection.distance;
+
+  let t = _projection.t;
+  if (!track.closed) {
+    state.progress = t;
+    return;
+  }
+  if (state.nextCheckpoint === 0 && t < 0.5) t += 1;
+  else if (state.nextCheckpoint === 1 && t > 0.5) t -= 1;
+  state.progress = (state.started ? state.lap : -1) + t;
+}
+
+// Distance from the track comes from updateTrackProgress. Transitions are reported
+// to the main thread with the ship's total time outside this race.
+function updateOutOfBounds(playerId, state) {
+  if (!track || state.finished || state.invulnerableTicks > 0) return;
+
+  const event = updateBounds(state.bounds, state.trackDistance, FIXED_STEP, outOfBounds);
+  if (!event) return;
+  if (event === 'penalty' && outOfBounds.action === 'reset') resetToTrack(state);
+
+  parentPort?.postMessage({
+    type: 'outOfBounds',
+    playerId,
+    event,
+    action: event === 'penalty' ? outOfBounds.action : null,
+    time: state.bounds.total,
+  });
+}
+
+// Top speed multiplier while a 'slow' penalty is active
+function speedPenalty(state) {
+  return state.bounds.penalized && outOfBounds.action === 'slow' ? outOfBounds.speedFactor : 1;
+}
+
+// Put the ship back on the closest point of the track, at rest and facing along it.
+// prevPos moves with it so the jump can never count as a gate crossing.
+function resetToTrack(state) {
+  const { position, forward, up } = trackPose(track, state.trackT);
+  state.pos.copy(position);
+  state.prevPos.copy(position);
+  state.rot.set(...lookRotation([forward.x, forward.y, forward.z], [up.x, up.y, up.z]));
+  state.velocity.set(0, 0, 0);
+  state.angularVelocity.set(0, 0, 0);
+  state.trackDistance = 0;
+}
+// #endregion
+
 // =================================================================================
-function startFixedUpdateLoop() {
+// #region RESPAWN
+// =================================================================================
+// Back to the last gate passed (the grid slot before the first), at rest. The ship
+// is held for the time penalty and stays invulnerable for a while after it.
+function respawnShip(playerId, state, reason) {
+  const gate = lastPassedGate(state.nextCheckpoint, checkpoints.length, {
+    closed: track?.closed ?? false,
+    started: state.started,
+  });
+  if (gate >= 0) {
+    const { position, forward, up } = trackPose(track, checkpoints[gate].t);
+    state.pos.copy(position);
+    state.rot.set(...lookRotation([forward.x, forward.y, forward.z], [up.x, up.y, up.z]));
+  } else {
+    state.pos.copy(state.spawnPos);
+    state.rot.copy(state.spawnRot);
+  }
+  state.prevPos.copy(state.pos);
+  state.velocity.set(0, 0, 0);
+  state.angularVelocity.set(0, 0, 0);
+  state.trackSegment = -1; // the ship may be far from its last projection
+  state.stuck.time = 0;
+  state.bounds = createBoundsState();
+
+  const { penaltySeconds, invulnerableSeconds } = respawnOptions;
+  state.respawnHoldTicks = Math.round(penaltySeconds / FIXED_STEP);
+  state.invulnerableTicks = state.respawnHoldTicks + Math.round(invulnerableSeconds / FIXED_STEP);
+  parentPort?.postMessage({ type: 'respawned', playerId, reason, gate, penaltySeconds, invulnerableSeconds });
+}
+
+// Judged on distance actually covered, so a ship pinned against terrain counts
+// as stuck whatever its velocity says
+function updateStuck(playerId, state) {
+  if (state.finished || state.respawnHoldTicks > 0) return;
+  const speed = _tmpA.copy(state.pos).sub(state.prevPos).length() / FIXED_STEP;
+  const speedRatio = speed / Math.max(0.0001, state.playerSpeed);
+  if (updateStuckTimer(state.stuck, speedRatio, state.throttle, FIXED_STEP, respawnOptions)) {
+    respawnShip(playerId, state, 'stuck');
+  }
+}
+
+// Requested by the player; ignored until the previous respawn has worn off
+function handleRespawn(data) {
+  const state = players.get(data.playerId);
+  if (!state || phase !== 'racing' || state.finished || state.invulnerableTicks > 0) return;
+  respawnShip(data.playerId, state, 'manual');
+}
+// #endregion
+
+// =================================================================================
+// #region FIXED-STEP LOOP
+// =================================================================================
+// Timers only wake the loop; simulated time comes from the accumulator, so late
+// wakeups run extra steps instead of slowing the race. If more than
+// MAX_CATCH_UP_STEPS are owed the rest is dropped and reported as an overrun.
+function start() {
+  if (loopTimer) return;
   log(null, 'Server physics worker fixed-step loop started.');
-  if (physicsInterval) clearInterval(physicsInterval);
-  physicsInterval = setInterval( () =>{
+  lastFrameAt = performance.now();
+  accumulator = 0;
+  loopTimer = setTimeout(frame, STEP_MS);
+}
+
+// The main thread terminates the worker once it sees 'stopped', after the final replay lines
+function stop() {
+  clearTimeout(loopTimer);
+  loopTimer = null;
+  flushReplay();
+  parentPort?.postMessage({ type: 'stopped' });
+}
+
+function frame() {
+  const now = performance.now();
+  accumulator += now - lastFrameAt;
+  lastFrameAt = now;
+
+  let steps = 0;
+  while (accumulator >= STEP_MS && steps < MAX_CATCH_UP_STEPS) {
     updatePhysics();
-  }, TICK_RATE_MS);
+    accumulator -= STEP_MS;
+    steps++;
+  }
+
+  if (accumulator >= STEP_MS) {
+    const lost = Math.floor(accumulator / STEP_MS);
+    droppedSteps += lost;
+    accumulator -= lost * STEP_MS;
+    reportOverrun(now);
+  }
+
+  loopTimer = setTimeout(frame, Math.max(0, STEP_MS - accumulator - (performance.now() - now)));
 }
 
-function init(data) {
-  if (data.planetSize !== undefined) planetRadius = data.planetSize;
-  if (data.fbmParams) fbmParams = data.fbmParams;
-  if (data.curvePoints) {
-    curvePoints = data.curvePoints;
+function reportOverrun(now) {
+  if (now - lastOverrunReportAt < OVERRUN_REPORT_MS) return;
+  parentPort?.postMessage({ type: 'tickOverrun', tick, droppedSteps });
+  lastOverrunReportAt = now;
+  droppedSteps = 0;
+}
+// #endregion
+
+// =================================================================================
+// #region REPLAY
+// =================================================================================
+// Everything that changes the simulation is recorded against the tick it took
+// effect on, so scripts/replay.mjs can re-run the race through this same module.
+function record(event) {
+  replayLines.push(JSON.stringify(event));
+}
 
-    // Precompute start positions along curve
-    const numPositions = curvePoints.length;
-    startPositions = curvePoints.map((_, i) =>
-      getStartPoseFromCurve(curvePoints, i / Math.max(1, numPositions - 1))
-    );
+function flushReplay() {
+  if (replayLines.length === 0) return;
+  parentPort?.postMessage({ type: 'replay', lines: replayLines });
+  replayLines = [];
+}
+
+function currentTick() {
+  return tick;
+}
+
+function playerPositions() {
+  const positions = {};
+  for (const [id, state] of players) positions[id] = [state.pos.x, state.pos.y, state.pos.z];
+  return positions;
+}
+// #endregion
 
+// =================================================================================
+// #region MESSAGE HANDLING
+// =================================================================================
 
-    console.log('Precomputed start positions:', startPositions);
-    nextStartIndex = 0;
+function init(data) {
+  if (data.record) {
+    recording = true;
+    record({
+      type: 'header',
+      version: REPLAY_VERSION,
+      recordedAt: Date.now(),
+      init: { ...data, type: undefined, record: undefined },
+    });
   }
+  if (data.startTick !== undefined) tick = data.startTick;
+  if (data.planetSize !== undefined) planetRadius = data.planetSize;
+  if (data.fbmParams) fbmParams = data.fbmParams;
+  if (data.curvePoints) curvePoints = data.curvePoints;
+  if (data.laps !== undefined) totalLaps = data.laps;
+  if (data.checkpointCount !== undefined) checkpointCount = data.checkpointCount;
+  if (data.checkpointRadius !== undefined) checkpointRadius = data.checkpointRadius;
+  if (data.outOfBounds) outOfBounds = { ...OUT_OF_BOUNDS_DEFAULTS, ...data.outOfBounds };
+  if (data.respawn) respawnOptions = { ...RESPAWN_DEFAULTS, ...data.respawn };
+  if (data.drafting) draftOptions = { ...DRAFTING_DEFAULTS, ...data.drafting };
+  if (curvePoints) setupTrack(curvePoints);
+  if (data.snapshotRate !== undefined) setSnapshotRate(data.snapshotRate);
+  if (data.inputDelayTicks !== undefined) inputDelayTicks = data.inputDelayTicks;
+  if (data.inputStaleTicks !== undefined) inputStaleTicks = data.inputStaleTicks;
   if (data.restitution) restitution = data.restitution;
   if (data.slideFactor) slideFactor = data.slideFactor;
-  log(null, 'Calling startFixedUpdateLoop from init');
-  startFixedUpdateLoop();
+  if (data.shipRestitution !== undefined) shipRestitution = data.shipRestitution;
+  if (data.items) setItems(data.items);
 }
 
 function handleConfig(data) {
@@ -455,6 +975,7 @@ function handleConfig(data) {
   if (data.acceleration !== undefined) state.accel = data.acceleration;
   if (data.pitchVelocity !== undefined) state.pitchVel = data.pitchVelocity;
   if (data.rollVelocity !== undefined) state.rollVel = data.rollVelocity;
+  if (data.mass !== undefined) state.mass = data.mass;
 }
 
 
@@ -466,41 +987,58 @@ function addPlayer(data) {
   if (!curvePoints && data.curvePoints) {
     log(null, `Assigning curve points for player ${playerId}`);
     curvePoints = data.curvePoints;
-    // Precompute start positions along curve
-    const numPositions = curvePoints.length;
-    startPositions = curvePoints.map((_, i) =>
-      getStartPoseFromCurve(curvePoints, i / Math.max(1, numPositions - 1))
-    );
-    nextStartIndex = 0;
-  }
-  // Determine starting position
-  let startPose;
-  if (startPositions && startPositions.length > 0) {
-    log(null, `Assigning start position for player ${playerId} at index ${nextStartIndex}`);
-    startPose = startPositions[nextStartIndex % startPositions.length];
-    nextStartIndex++;
-  } else {
-    log(null, `Assigning default start position for player ${playerId}`);
-    startPose = { position: [0, 0, 0], quaternion: [0, 0, 0, 1] };
+    setupTrack(curvePoints);
   }
 
   // create state with preallocated Vector3/Quaternion instances per-player
   const state = {
-    pos: new Vector3(...(data.position ?? startPose.position)),
-    rot: new Quaternion(...startPose.quaternion),
+    playerId,
+    index: freeShipIndex(), // small number unique among current ships
+    pos: new Vector3(),
+    rot: new Quaternion(),
     velocity: new Vector3(),
     angularVelocity: new Vector3(),
+    prevPos: new Vector3(),
+    spawnPos: new Vector3(),
+    spawnRot: new Quaternion(),
 
     // input and config
     throttle: 0,
     inputX: 0,
     inputY: 0,
+    lastInputSeq: 0, // highest client input seq applied, acked in snapshots
+    inputBuffer: createInputBuffer({ delayTicks: inputDelayTicks, staleTicks: inputStaleTicks }),
     accel: data.acceleration ?? 20,
     pitchVel: data.pitchVelocity ?? 3,
     rollVel: data.rollVelocity ?? 6,
     damping: data.damping ?? 0.998,
     playerSpeed: data.playerSpeed ?? 50,
+    mass: data.mass ?? 1,
+
+    // race progress
+    gridSlot: 0,
+    lap: 0,
+    nextCheckpoint: 0,
+    started: false,
+    finished: false,
+    trackSegment: -1,
+    trackT: 0,
+    trackDistance: 0,
+    progress: 0,
+    bounds: createBoundsState(),
+
+    // respawn
+    stuck: createStuckTimer(),
+    respawnHoldTicks: 0,  // steps left sitting out the respawn penalty
+    invulnerableTicks: 0, // steps left immune to out-of-bounds (and respawning again)
+
+    // item effects
+    effects: createEffects(),
+    draft: 0, // slipstream level, 0..1
   };
+  // Until the server sends the grid order, take the next free slot
+  placeOnGrid(state, data.gridSlot ?? players.size);
+  holdOnGrid(state);
 
   players.set(playerId, state);
 }
@@ -508,8 +1046,11 @@ function addPlayer(data) {
 
 function removePlayer(data) {
   const playerId = data.playerId;
-  if (!playerId) return;
+  const state = players.get(playerId);
+  if (!state) return;
   players.delete(playerId);
+  forgetContacts(state.index);
+  rebuildShipHash(); // drop it from the broad phase before the next step
   log(null, `Removed player ${playerId}`);
 }
 
@@ -517,28 +1058,64 @@ function handleInput(data) {
   log(null, `\nhandleInput called with \ndata: ${JSON.stringify({...data, curvePoints: undefined}, null, 2)}`);
   const playerId = data.playerId;
   const state = players.get(playerId);
+  // Controls are live only while racing, and only until the ship finishes
+  if (!state || phase !== 'racing' || state.finished) return;
+
+  // Applied on the step it is due (see applyBufferedInputs), not on arrival
+  pushInput(state.inputBuffer, {
+    seq: data.seq,
+    tick: data.tick,
+    throttle: data.throttle,
+    inputAxis: data.inputAxis,
+  }, tick + 1);
+}
+
+// The player's session moved to a new socket, whose inputs start again from seq 1
+function resumeInputs(data) {
+  const state = players.get(data.playerId);
   if (!state) return;
+  restartInputSeq(state.inputBuffer);
+  state.lastInputSeq = 0;
+}
 
-  if (data.throttle !== undefined) state.throttle = data.throttle;
-  if ("inputAxis" in data) {
-      state.inputX = data.inputAxis.x;
-      state.inputY = data.inputAxis.y;
+// Apply every buffered input due this tick; with none due the last input holds
+function applyBufferedInputs(playerId, state) {
+  let input;
+  while ((input = takeInput(state.inputBuffer, tick)) !== null) {
+    if (recording) {
+      record({ type: 'input', tick, playerId, seq: input.seq, throttle: input.throttle, inputAxis: input.inputAxis });
+    }
+    if (input.seq !== undefined) state.lastInputSeq = input.seq;
+    if (input.throttle !== undefined) state.throttle = input.throttle;
+    if (input.inputAxis) {
+      state.inputX = input.inputAxis.x;
+      state.inputY = input.inputAxis.y;
+    }
   }
 }
 
+function handleMessage(data) {
+  const { type } = data && data.type ? data : {};
+  if (recording && RECORDED_MESSAGES.has(type)) record({ type: 'message', tick, message: data });
+
+  if (type === 'addPlayer') addPlayer(data);
+  else if (type === 'removePlayer') removePlayer(data);
+  else if (type === 'config') handleConfig(data);
+  else if (type === 'start') start();
+  else if (type === 'stop') stop();
+  else if (type === 'phase') setPhase(data.phase);
+  else if (type === 'grid') setGrid(data.slots);
+  else if (type === 'init') init(data);
+  else if (type === 'input') handleInput(data);
+  else if (type === 'resume') resumeInputs(data);
+  else if (type === 'respawn') handleRespawn(data);
+}
+
 if (parentPort) {
   parentPort.postMessage({ type: 'ready' });
-  parentPort.on('message', (data) => {
-    const { type } = data && data.type ? data : {};
-    
-    if (type === 'addPlayer') addPlayer(data);
-    else if (type === 'removePlayer') removePlayer(data);
-    else if (type === 'config') handleConfig(data);
-    else if (type === 'start') start();
-    else if (type === 'stop') stop();
-    if (type === 'init') init(data);
-    else if (type === 'input') handleInput(data);
-
-  });
+  parentPort.on('message', handleMessage);
 }
+
+// Simulation API for offline re-simulation (replay.js); the loop is not started
+export { handleMessage, updatePhysics, currentTick, playerPositions };
 // #endregion